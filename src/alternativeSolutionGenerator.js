@@ -0,0 +1,459 @@
+/**
+ * Near-Miss Schedule Generator for Dance Course Scheduling
+ *
+ * Finds schedules that break exactly one of the user's constraints by the
+ * smallest possible amount - one extra gap hour, one course on a blocked
+ * day, a course starting 15 minutes early. Every schedule is labeled with
+ * its violation, so the user can decide whether it is acceptable.
+ *
+ * Features:
+ * - Relaxes one constraint at a time in growing steps and stops at the first
+ *   step that allows schedules, so the violation is as small as possible
+ * - Keeps every other constraint in force
+ * - Labels each schedule with a structured, localisable violation message
+ */
+
+import {
+  DeclarativeConstraintSolver,
+  TimeSlot,
+  CourseRelationConstraint,
+  COURSE_RELATION_CODES,
+  DEFAULT_MIN_BREAK_MINUTES,
+  compareSolutions,
+  formatMessage,
+  daysApart,
+  consecutiveRunLengths,
+  longestDayRun
+} from './declarativeConstraintSolver.js'
+
+const MAX_NUMERIC_STEPS = 3 // Values tried per numeric limit, e.g. extra courses per day or gap hours
+const SCAN_LIMIT = 200 // Schedules of a relaxed input checked for violations
+const CANDIDATE_NODES = 2000 // Search nodes per relaxed input, so inputs without schedules give up early
+
+/**
+ * A schedule that breaks exactly one constraint
+ */
+class NearMissSchedule {
+  constructor(schedule, violation) {
+    this.schedule = schedule // Schedule with stats, as returned by the solver
+    this.violation = violation // { constraint, amount, unit, message, description }
+  }
+}
+
+function getSlots(schedule) {
+  return Object.values(schedule.schedule).flat()
+}
+
+function countSlots(schedule, predicate) {
+  return getSlots(schedule).filter(predicate).length
+}
+
+// Relaxation steps raising a numeric limit by one at a time, up to upTo
+function raiseLimit(input, constraint, upTo = Infinity) {
+  const limit = input[constraint]
+  const length = Math.max(0, Math.min(MAX_NUMERIC_STEPS, upTo - limit))
+  return Array.from({ length }, (_, index) => [{ ...input, [constraint]: limit + index + 1 }])
+}
+
+// Days of the given list the schedule has courses on
+function usedDays(schedule, days) {
+  const scheduledDays = new Set(getSlots(schedule).map(slot => slot.day))
+  return days.filter(day => scheduledDays.has(day))
+}
+
+/**
+ * Generates near-miss schedules for an input
+ *
+ * @example
+ * ```js
+ * const generator = new AlternativeSolutionGenerator()
+ * const nearMisses = generator.generate({
+ *   selectedCourses: {
+ *     'Course A': [{ day: 'MO', slot: 1080 }],
+ *     'Course B': [{ day: 'SA', slot: 1080 }]
+ *   },
+ *   blockedDays: ['SA']
+ * })
+ *
+ * // [{ schedule, violation: { constraint: 'blockedDays', amount: 1, unit: 'courses', description: '1 course(s) on blocked SA' } }]
+ * ```
+ */
+export class AlternativeSolutionGenerator {
+  /**
+   * @param {Object} [options] - Solver options
+   * @param {number} [options.courseDurationMinutes=70] - Course duration for gap calculations
+   */
+  constructor(options = {}) {
+    this.baseSolver = new DeclarativeConstraintSolver({ ...options, onProgress: null })
+    this.searchStats = { nodesExplored: 0 }
+    this.debugMode = false
+  }
+
+  /**
+   * Enable or disable debug logging
+   * @param {boolean} enabled - Whether to enable debug mode
+   */
+  setDebugMode(enabled) {
+    this.debugMode = enabled
+  }
+
+  /**
+   * Get statistics of the most recent generate() call
+   * @returns {Object} { nodesExplored } summed over all relaxed inputs searched
+   */
+  getSearchStats() {
+    return { ...this.searchStats }
+  }
+
+  /**
+   * Find schedules that break exactly one constraint by the smallest amount
+   *
+   * Works for feasible and infeasible inputs alike; schedules satisfying
+   * every constraint are never returned. Each relaxed input is searched for
+   * at most 2000 nodes, and all of them together for at most maxNodes, so
+   * near misses that are hard to find may be missed.
+   * @param {Object} input - Scheduling problem, as for DeclarativeConstraintSolver
+   * @param {Object} [options]
+   * @param {number} [options.maxPerConstraint=3] - Schedules returned per broken constraint
+   * @param {number} [options.maxNodes=20000] - Search nodes of all relaxed inputs together
+   * @returns {Array<NearMissSchedule>} Near misses grouped by constraint, best schedules first
+   */
+  generate(input, options = {}) {
+    const maxPerConstraint = options.maxPerConstraint ?? 3
+    const budget = { nodesLeft: options.maxNodes ?? 20000 }
+    const nearMisses = []
+
+    for (const violation of this._getViolationTypes(input)) {
+      const found = this._findSmallestViolations(violation, maxPerConstraint, budget)
+      if (this.debugMode) {
+        console.log(`[AlternativeSolutionGenerator] ${violation.constraint}: ${found.length} near misses`)
+      }
+      nearMisses.push(...found)
+    }
+
+    this.searchStats = { nodesExplored: (options.maxNodes ?? 20000) - budget.nodesLeft }
+    return nearMisses
+  }
+
+  /**
+   * Relax one constraint step by step until schedules break it
+   *
+   * Candidates of one step are equally small changes (e.g. unblocking any
+   * single day). The first step with schedules wins, and of its schedules
+   * only those with the smallest measured violation are kept. Searches take
+   * their nodes from budget.nodesLeft and stop when it runs out.
+   * @private
+   */
+  _findSmallestViolations(violation, maxPerConstraint, budget) {
+    for (const candidates of violation.steps) {
+      const found = new Map()
+
+      for (const relaxedInput of candidates) {
+        if (budget.nodesLeft <= 0) break
+        const solutions = this.baseSolver.iterateSolutions(relaxedInput, { maxNodes: Math.min(CANDIDATE_NODES, budget.nodesLeft) })
+        for (let scanned = 0; scanned < SCAN_LIMIT; scanned++) {
+          const next = solutions.next()
+          if (next.done) break
+          const amount = violation.measure(next.value)
+          if (amount > 0) {
+            found.set(JSON.stringify(next.value.schedule), { schedule: next.value, amount })
+          }
+        }
+        budget.nodesLeft -= this.baseSolver.getSearchStats().nodesExplored
+      }
+
+      if (found.size === 0) continue
+
+      const smallest = Math.min(...[...found.values()].map(entry => entry.amount))
+      return [...found.values()]
+        .filter(entry => entry.amount === smallest)
+        .sort((a, b) => compareSolutions(b.schedule, a.schedule))
+        .slice(0, maxPerConstraint)
+        .map(entry => {
+          const message = violation.getMessage(entry.amount, entry.schedule)
+          return new NearMissSchedule(entry.schedule, {
+            constraint: violation.constraint,
+            amount: entry.amount,
+            unit: violation.unit,
+            message,
+            description: formatMessage(message.code, message.params)
+          })
+        })
+    }
+
+    return []
+  }
+
+  /**
+   * List the constraints of the input that near misses may break
+   *
+   * Each type has relaxation steps (lists of relaxed inputs, smallest change
+   * first), a measure of how far a schedule breaks the original constraint
+   * (0 = not at all) and the message labeling a schedule's violation.
+   *
+   * Rules deciding which courses and sessions are taken - overlaps, course
+   * multiplicity, pinned times, course groups and optional courses - are
+   * never broken: a schedule breaking them is not a variant of the wanted week.
+   * @private
+   * @returns {Array<Object>} Types { constraint, unit, steps, measure, getMessage }
+   */
+  _getViolationTypes(input) {
+    const types = []
+    const allSlots = Object.values(input.selectedCourses).flat()
+    const courseDurationMinutes = this.baseSolver.courseDurationMinutes
+
+    if (input.maxCoursesPerDay) {
+      const limit = input.maxCoursesPerDay
+      types.push({
+        constraint: 'maxCoursesPerDay',
+        unit: 'courses',
+        steps: raiseLimit(input, 'maxCoursesPerDay'),
+        measure: schedule => Math.max(0, schedule.coursesOnBusiestDay - limit),
+        getMessage: amount => ({
+          code: '{amount} course(s) more than {limit} on one day',
+          params: { amount, limit }
+        })
+      })
+    }
+
+    if (input.maxEmptySlotsBetweenCourses !== undefined) {
+      const limit = input.maxEmptySlotsBetweenCourses
+      types.push({
+        constraint: 'maxEmptySlotsBetweenCourses',
+        unit: 'hours',
+        steps: raiseLimit(input, 'maxEmptySlotsBetweenCourses'),
+        // Gaps are quantized to course durations, so the excess is rounded for display
+        measure: schedule => Math.max(0, Math.round((schedule.maxGapBetweenCourses - limit) * 100) / 100),
+        getMessage: amount => ({
+          code: 'Gap {amount} hour(s) longer than {limit} hour(s)',
+          params: { amount, limit }
+        })
+      })
+    }
+
+    if (input.maxCoursesPerWeek > 0) {
+      const limit = input.maxCoursesPerWeek
+      types.push({
+        constraint: 'maxCoursesPerWeek',
+        unit: 'courses',
+        steps: raiseLimit(input, 'maxCoursesPerWeek'),
+        measure: schedule => Math.max(0, getSlots(schedule).length - limit),
+        getMessage: amount => ({
+          code: '{amount} course(s) more than {limit} per week',
+          params: { amount, limit }
+        })
+      })
+    }
+
+    if (input.maxHoursPerWeek > 0) {
+      const limit = input.maxHoursPerWeek
+      types.push({
+        constraint: 'maxHoursPerWeek',
+        unit: 'minutes',
+        steps: raiseLimit(input, 'maxHoursPerWeek'),
+        measure: schedule => Math.max(0, getSlots(schedule)
+          .reduce((sum, slot) => sum + slot.getEnd(courseDurationMinutes) - slot.slot, 0) - limit * 60),
+        getMessage: amount => ({
+          code: '{amount} minutes more than {limit} hour(s) of dancing per week',
+          params: { amount, limit }
+        })
+      })
+    }
+
+    if (input.maxDaysPerWeek > 0) {
+      const limit = input.maxDaysPerWeek
+      types.push({
+        constraint: 'maxDaysPerWeek',
+        unit: 'days',
+        steps: raiseLimit(input, 'maxDaysPerWeek', 7),
+        measure: schedule => Math.max(0, schedule.days - limit),
+        getMessage: amount => ({
+          code: '{amount} dance day(s) more than {limit} per week',
+          params: { amount, limit }
+        })
+      })
+    }
+
+    if (input.maxConsecutiveDays > 0) {
+      const limit = input.maxConsecutiveDays
+      types.push({
+        constraint: 'maxConsecutiveDays',
+        unit: 'days',
+        steps: raiseLimit(input, 'maxConsecutiveDays', 7),
+        measure: schedule => Math.max(0, longestDayRun(getSlots(schedule).map(slot => slot.day)) - limit),
+        getMessage: amount => ({
+          code: '{amount} dance day(s) in a row more than {limit}',
+          params: { amount, limit }
+        })
+      })
+    }
+
+    // As a weighted preference the break rule only ranks schedules
+    if (input.maxConsecutiveCourses > 0 && !(input.preferenceWeights?.restBreaks > 0)) {
+      const limit = input.maxConsecutiveCourses
+      const minBreakMinutes = input.minBreakMinutes || DEFAULT_MIN_BREAK_MINUTES
+      types.push({
+        constraint: 'maxConsecutiveCourses',
+        unit: 'courses',
+        steps: raiseLimit(input, 'maxConsecutiveCourses'),
+        measure: schedule => Math.max(0, ...consecutiveRunLengths(getSlots(schedule), minBreakMinutes, courseDurationMinutes)
+          .map(run => run - limit)),
+        getMessage: amount => ({
+          code: '{amount} course(s) in a row more than {limit} without a {minutes}-minute break',
+          params: { amount, limit, minutes: minBreakMinutes }
+        })
+      })
+    }
+
+    if (input.minDaysBetweenRepetitions > 0) {
+      const limit = input.minDaysBetweenRepetitions
+      const closestRepetitions = schedule => Math.min(...Object.values(schedule.schedule).flatMap(slots =>
+        slots.flatMap((slot, index) => slots.slice(index + 1).map(other => daysApart(slot.day, other.day)))))
+      types.push({
+        constraint: 'minDaysBetweenRepetitions',
+        unit: 'days',
+        steps: Array.from({ length: Math.min(MAX_NUMERIC_STEPS, limit) }, (_, index) => [{ ...input, minDaysBetweenRepetitions: limit - index - 1 }]),
+        measure: schedule => Math.max(0, limit - closestRepetitions(schedule)),
+        getMessage: amount => ({
+          code: 'Repetitions {amount} day(s) closer than {limit} day(s) apart',
+          params: { amount, limit }
+        })
+      })
+    }
+
+    // Dropping any single course link is an equally small change
+    const relations = (input.courseRelations || [])
+      .filter(relation => relation.first in input.selectedCourses && relation.second in input.selectedCourses)
+    if (relations.length > 0) {
+      const relationConstraint = new CourseRelationConstraint(relations, courseDurationMinutes)
+      const brokenRelations = schedule => relations.filter(relation =>
+        relation.first in schedule.schedule && relation.second in schedule.schedule &&
+        !relationConstraint.holds(relation, schedule.schedule[relation.first], schedule.schedule[relation.second]))
+      types.push({
+        constraint: 'courseRelations',
+        unit: 'links',
+        steps: [relations.map(dropped => ({ ...input, courseRelations: relations.filter(relation => relation !== dropped) }))],
+        measure: schedule => brokenRelations(schedule).length,
+        getMessage: (amount, schedule) => ({
+          code: '{amount} course link(s) broken: {relations}',
+          params: {
+            amount,
+            relations: brokenRelations(schedule).map(({ first, second, type }) => ({
+              code: COURSE_RELATION_CODES[type],
+              params: { first, second }
+            }))
+          }
+        })
+      })
+    }
+
+    if (input.noDuplicateCoursesPerDay) {
+      types.push({
+        constraint: 'noDuplicateCoursesPerDay',
+        unit: 'courses',
+        steps: [[{ ...input, noDuplicateCoursesPerDay: false }]],
+        measure: schedule => Object.values(schedule.schedule)
+          .reduce((sum, slots) => sum + slots.length - new Set(slots.map(slot => slot.day)).size, 0),
+        getMessage: amount => ({
+          code: '{amount} course(s) twice on the same day',
+          params: { amount }
+        })
+      })
+    }
+
+    const earliestStart = TimeSlot.parseTime(input.timeRange?.start)
+    if (earliestStart !== null) {
+      const earlierStarts = [...new Set(allSlots.map(slot => slot.slot))]
+        .filter(start => start < earliestStart)
+        .sort((a, b) => b - a)
+      types.push({
+        constraint: 'earliestTimeStr',
+        unit: 'minutes',
+        steps: earlierStarts.map(start => [{
+          ...input,
+          timeRange: { ...input.timeRange, start: TimeSlot.formatTime(start) }
+        }]),
+        measure: schedule => Math.max(0, earliestStart - Math.min(...getSlots(schedule).map(slot => slot.slot))),
+        getMessage: amount => ({
+          code: 'Starts {amount} minutes before {time}',
+          params: { amount, time: input.timeRange.start }
+        })
+      })
+    }
+
+    const latestEnd = TimeSlot.parseTime(input.timeRange?.end)
+    if (latestEnd !== null) {
+      const laterEnds = [...new Set(allSlots.map(slot => slot.end ?? slot.slot + courseDurationMinutes))]
+        .filter(end => end > latestEnd)
+        .sort((a, b) => a - b)
+      types.push({
+        constraint: 'latestTimeStr',
+        unit: 'minutes',
+        steps: laterEnds.map(end => [{
+          ...input,
+          timeRange: { ...input.timeRange, end: TimeSlot.formatTime(end) }
+        }]),
+        measure: schedule => Math.max(0, Math.max(...getSlots(schedule).map(slot => slot.getEnd(courseDurationMinutes))) - latestEnd),
+        getMessage: amount => ({
+          code: 'Ends {amount} minutes after {time}',
+          params: { amount, time: input.timeRange.end }
+        })
+      })
+    }
+
+    // Opening up any single day is an equally small change
+    const daysWithCourses = [...new Set(allSlots.map(slot => slot.day))]
+    const blockedDays = daysWithCourses.filter(day => input.blockedDays?.includes(day))
+    if (blockedDays.length > 0) {
+      types.push({
+        constraint: 'blockedDays',
+        unit: 'courses',
+        steps: [blockedDays.map(day => ({ ...input, blockedDays: input.blockedDays.filter(blocked => blocked !== day) }))],
+        measure: schedule => countSlots(schedule, slot => input.blockedDays.includes(slot.day)),
+        getMessage: (amount, schedule) => ({
+          code: '{amount} course(s) on blocked {days}',
+          params: { amount, days: usedDays(schedule, input.blockedDays) }
+        })
+      })
+    }
+
+    const excludedDays = daysWithCourses.filter(day => input.allowedDays && !input.allowedDays.includes(day))
+    if (excludedDays.length > 0) {
+      types.push({
+        constraint: 'allowedDays',
+        unit: 'courses',
+        steps: [excludedDays.map(day => ({ ...input, allowedDays: [...input.allowedDays, day] }))],
+        measure: schedule => countSlots(schedule, slot => !input.allowedDays.includes(slot.day)),
+        getMessage: (amount, schedule) => ({
+          code: '{amount} course(s) on {days}, outside the allowed days',
+          params: { amount, days: usedDays(schedule, excludedDays) }
+        })
+      })
+    }
+
+    // Ticking any single start time is an equally small change
+    if (input.perDayTimeSlots && Object.keys(input.perDayTimeSlots).length > 0) {
+      const isUnticked = slot => input.perDayTimeSlots[slot.day] && !input.perDayTimeSlots[slot.day].includes(slot.slot)
+      const untickedSlots = new Map(allSlots.filter(isUnticked).map(slot => [`${slot.day}-${slot.slot}`, slot]))
+      if (untickedSlots.size > 0) {
+        types.push({
+          constraint: 'perDayTimeSlots',
+          unit: 'courses',
+          steps: [[...untickedSlots.values()].map(({ day, slot }) => ({
+            ...input,
+            perDayTimeSlots: { ...input.perDayTimeSlots, [day]: [...input.perDayTimeSlots[day], slot] }
+          }))],
+          measure: schedule => countSlots(schedule, isUnticked),
+          getMessage: amount => ({
+            code: '{amount} course(s) at unticked start times',
+            params: { amount }
+          })
+        })
+      }
+    }
+
+    return types
+  }
+}
+
+export { NearMissSchedule }
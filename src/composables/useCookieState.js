@@ -71,10 +71,23 @@ export function useCookieState() {
       allowedDays: ['MO', 'DI', 'MI', 'DO', 'FR', 'SA', 'SO'],
       blockedDays: [],
       maxCoursesPerDay: 3,
+      maxConsecutiveCourses: 0, // Courses in a row before a break, 0 = no rule
+      minBreakMinutes: 30,
+      maxCoursesPerWeek: 0, // 0 = no limit
+      maxHoursPerWeek: 0, // 0 = no limit
+      maxDaysPerWeek: 0, // 0 = no limit
+      maxConsecutiveDays: 0, // 0 = no limit
       maxTimeBetweenCourses: 0,
       noDuplicateCoursesPerDay: true,
+      minDaysBetweenRepetitions: 0,
       preventOverlaps: true,
+      preferenceWeights: { fewerDays: 1, endEarly: 0, noGaps: 1, preferredTeachers: 1 },
+      preferredTeachers: [],
       perDayTimeSlots: {},
+      lockedCourseIds: [], // Course instances kept at their time when planning
+      optionalCourses: {}, // Value per nice-to-have course (missing = must have)
+      courseGroups: [], // Choose-k-of-n groups: { courses, count }
+      courseRelations: [], // Course links: { first, second, type }
       highlightSchedule: null,
       disablePairCourses: false,
       courseDurationMinutes: (appConfig?.courseDurationMinutes) || 70 // Default: 60min class + 10min break
@@ -99,10 +112,23 @@ export function useCookieState() {
       allowedDays: ['MO', 'DI', 'MI', 'DO', 'FR', 'SA', 'SO'],
       blockedDays: [],
       maxCoursesPerDay: 3,
+      maxConsecutiveCourses: 0, // Courses in a row before a break, 0 = no rule
+      minBreakMinutes: 30,
+      maxCoursesPerWeek: 0, // 0 = no limit
+      maxHoursPerWeek: 0, // 0 = no limit
+      maxDaysPerWeek: 0, // 0 = no limit
+      maxConsecutiveDays: 0, // 0 = no limit
       maxTimeBetweenCourses: 0,
       noDuplicateCoursesPerDay: true,
+      minDaysBetweenRepetitions: 0,
       preventOverlaps: true,
+      preferenceWeights: { fewerDays: 1, endEarly: 0, noGaps: 1, preferredTeachers: 1 },
+      preferredTeachers: [],
       perDayTimeSlots: {},
+      lockedCourseIds: [], // Course instances kept at their time when planning
+      optionalCourses: {}, // Value per nice-to-have course (missing = must have)
+      courseGroups: [], // Choose-k-of-n groups: { courses, count }
+      courseRelations: [], // Course links: { first, second, type }
       highlightSchedule: null,
       disablePairCourses: false,
       courseDurationMinutes: 70
@@ -126,9 +152,22 @@ export function useCookieState() {
       allowedDays: ['MO', 'DI', 'MI', 'DO', 'FR', 'SA', 'SO'],
       blockedDays: [],
       maxCoursesPerDay: 3,
+      maxConsecutiveCourses: 0, // Courses in a row before a break, 0 = no rule
+      minBreakMinutes: 30,
+      maxCoursesPerWeek: 0, // 0 = no limit
+      maxHoursPerWeek: 0, // 0 = no limit
+      maxDaysPerWeek: 0, // 0 = no limit
+      maxConsecutiveDays: 0, // 0 = no limit
       maxTimeBetweenCourses: 0,
       noDuplicateCoursesPerDay: true,
+      minDaysBetweenRepetitions: 0,
       preventOverlaps: true,
+      preferenceWeights: { fewerDays: 1, endEarly: 0, noGaps: 1, preferredTeachers: 1 },
+      preferredTeachers: [],
+      lockedCourseIds: [],
+      optionalCourses: {},
+      courseGroups: [],
+      courseRelations: [],
       disablePairCourses: false,
       courseDurationMinutes: 70
     }
@@ -1,4 +1,5 @@
 import { ref, computed } from 'vue'
+import { formatMessage } from '../declarativeConstraintSolver.js'
 
 // Get browser language
 const getBrowserLanguage = () => {
@@ -30,9 +31,193 @@ const translations = {
     'Day Constraints': 'Day Constraints',
     'Time Constraints': 'Time Constraints',
     'Maximum courses per day': 'Maximum courses per day',
+    'No duplicate course per day': 'No duplicate course per day',
+    'Courses taken several times a week are spread over different days': 'Courses taken several times a week are spread over different days',
+    'Minimum days between repetitions': 'Minimum days between repetitions',
+    'Courses in a row before a break': 'Courses in a row before a break',
+    'Minimum break': 'Minimum break',
+    'min': 'min',
+    'Give breaks a weight in the schedule ranking to make this a preference instead of a rule': 'Give breaks a weight in the schedule ranking to make this a preference instead of a rule',
+    'Maximum courses per week': 'Maximum courses per week',
+    'Courses taken several times a week count once per session': 'Courses taken several times a week count once per session',
+    'Maximum dance hours per week': 'Maximum dance hours per week',
+    'Maximum dance days per week': 'Maximum dance days per week',
+    'Maximum dance days in a row': 'Maximum dance days in a row',
+    'Leaves recovery days; Sunday and the following Monday count as a row': 'Leaves recovery days; Sunday and the following Monday count as a row',
+    'Off': 'Off',
+    'Sessions of the same course are at least this many days apart, e.g. Monday and Thursday': 'Sessions of the same course are at least this many days apart, e.g. Monday and Thursday',
+    'Prevent overlaps': 'Prevent overlaps',
+    'Never schedule courses whose times overlap': 'Never schedule courses whose times overlap',
     'Maximum empty slots between courses': 'Maximum empty slots between courses',
     'Advanced Settings': 'Advanced Settings',
     'Course Duration (minutes)': 'Course Duration (minutes)',
+    'Schedule Ranking': 'Schedule Ranking',
+    'Weight how much each preference matters when sorting schedules (0 = ignore)': 'Weight how much each preference matters when sorting schedules (0 = ignore)',
+    'Fewer days': 'Fewer days',
+    'Ending early': 'Ending early',
+    'No gaps between courses': 'No gaps between courses',
+    'Preferred teachers': 'Preferred teachers',
+    'Spread repetitions evenly': 'Spread repetitions evenly',
+    'Breaks after consecutive courses': 'Breaks after consecutive courses',
+    'Ranking penalty': 'Ranking penalty',
+    'Many combinations possible - showing the best schedules found so far': 'Many combinations possible - showing the best schedules found so far',
+    'combinations checked': 'combinations checked',
+    'schedules found': 'schedules found',
+    'looking for suggestions': 'looking for suggestions',
+    'Show 20 more': 'Show 20 more',
+    'Loading more schedules...': 'Loading more schedules...',
+    'unlocks 1 schedule': 'unlocks 1 schedule',
+    'unlocks {count} schedules': 'unlocks {count} schedules',
+    'best uses 1 day': 'best uses 1 day',
+    'best uses {days} days': 'best uses {days} days',
+    'Apply': 'Apply',
+    'Applied': 'Applied',
+    'Undo': 'Undo',
+    'Show {count} schedules': 'Show {count} schedules',
+    'Hide schedules': 'Hide schedules',
+    'Keeps all other constraints': 'Keeps all other constraints',
+    'Sort by': 'Sort by',
+    'Best score': 'Best score',
+    'Most different': 'Most different',
+    'Trade-offs': 'Trade-offs',
+    'Keep this': 'Keep this',
+    'Course Priority': 'Course Priority',
+    'Nice-to-have courses are left out when they do not fit; schedules fit as much of their value as possible': 'Nice-to-have courses are left out when they do not fit; schedules fit as much of their value as possible',
+    'Must have': 'Must have',
+    'Nice to have': 'Nice to have',
+    'Value': 'Value',
+    'Left out': 'Left out',
+    'Course Groups': 'Course Groups',
+    'Let the planner pick some courses of a group for you': 'Let the planner pick some courses of a group for you',
+    'New group': 'New group',
+    'Choose': 'Choose',
+    'Save group': 'Save group',
+    'Remove group': 'Remove group',
+    'Any {count} of {courses}': 'Any {count} of {courses}',
+    'Course Links': 'Course Links',
+    'Tie courses together, e.g. a technique class directly before a practice session': 'Tie courses together, e.g. a technique class directly before a practice session',
+    'Course': 'Course',
+    'Add link': 'Add link',
+    'Remove link': 'Remove link',
+    'on the same day as': 'on the same day as',
+    'not on the same day as': 'not on the same day as',
+    'directly before': 'directly before',
+    'earlier in the week than': 'earlier in the week than',
+    'Kept': 'Kept',
+    'Always plan this course at this time': 'Always plan this course at this time',
+    'Stop keeping this course at this time': 'Stop keeping this course at this time',
+    'Compare': 'Compare',
+    'All trade-offs': 'All trade-offs',
+    'Fewest days': 'Fewest days',
+    'Smallest max gap': 'Smallest max gap',
+    'Least busy day': 'Least busy day',
+    'Fewest hours': 'Fewest hours',
+    'Smallest average gap': 'Smallest average gap',
+    // Solver hints, alternatives and constraint descriptions
+    'Maximum {count} courses per day': 'Maximum {count} courses per day',
+    'Maximum {hours} hours gap between courses on same day (course duration: {minutes}min)': 'Maximum {hours} hours gap between courses on same day (course duration: {minutes}min)',
+    'No overlapping time slots': 'No overlapping time slots',
+    'Courses starting at {start} or later and ending by {end}': 'Courses starting at {start} or later and ending by {end}',
+    'Courses starting at {start} or later': 'Courses starting at {start} or later',
+    'Courses ending by {end}': 'Courses ending by {end}',
+    'Courses only on {days}; no courses on {blockedDays}': 'Courses only on {days}; no courses on {blockedDays}',
+    'Courses only on {days}': 'Courses only on {days}',
+    'No courses on {blockedDays}': 'No courses on {blockedDays}',
+    'Allowed start times: {rules}': 'Allowed start times: {rules}',
+    '{times} on {day}': '{times} on {day}',
+    'nothing on {day}': 'nothing on {day}',
+    'Same course at most once per day': 'Same course at most once per day',
+    'Repetitions at least {count} day(s) apart': 'Repetitions at least {count} day(s) apart',
+    'At most {count} course(s) in a row without a {minutes}-minute break': 'At most {count} course(s) in a row without a {minutes}-minute break',
+    'At most {count} dance day(s) per week': 'At most {count} dance day(s) per week',
+    'At most {count} dance day(s) in a row': 'At most {count} dance day(s) in a row',
+    'At most {count} course(s) per week': 'At most {count} course(s) per week',
+    'At most {hours} hour(s) of dancing per week': 'At most {hours} hour(s) of dancing per week',
+    'Course multiplicity: {courses}': 'Course multiplicity: {courses}',
+    '{course}: {count} times': '{course}: {count} times',
+    'Kept courses: {courses}': 'Kept courses: {courses}',
+    '{course} at {times}': '{course} at {times}',
+    '{day} {time}': '{day} {time}',
+    'Prefer fewer days (weight {weight})': 'Prefer fewer days (weight {weight})',
+    'Prefer ending before {time} (weight {weight})': 'Prefer ending before {time} (weight {weight})',
+    'Prefer no gaps between courses (weight {weight})': 'Prefer no gaps between courses (weight {weight})',
+    'Prefer teachers {teachers} (weight {weight})': 'Prefer teachers {teachers} (weight {weight})',
+    'Prefer repetitions spread evenly (weight {weight})': 'Prefer repetitions spread evenly (weight {weight})',
+    'Prefer a {minutes}-minute break after {count} course(s) in a row (weight {weight})': 'Prefer a {minutes}-minute break after {count} course(s) in a row (weight {weight})',
+    '"{course}"': '"{course}"',
+    '"{course}" at the selected times only': '"{course}" at the selected times only',
+    '"{course}" {count} times': '"{course}" {count} times',
+    '"{course}" kept at its pinned time': '"{course}" kept at its pinned time',
+    'Course groups: {groups}': 'Course groups: {groups}',
+    'any {count} of {courses}': 'any {count} of {courses}',
+    'Course links: {relations}': 'Course links: {relations}',
+    '"{first}" on the same day as "{second}"': '"{first}" on the same day as "{second}"',
+    '"{first}" not on the same day as "{second}"': '"{first}" not on the same day as "{second}"',
+    '"{first}" directly before "{second}"': '"{first}" directly before "{second}"',
+    '"{first}" earlier in the week than "{second}"': '"{first}" earlier in the week than "{second}"',
+    'no overlapping courses': 'no overlapping courses',
+    'each course at most once per day': 'each course at most once per day',
+    'repetitions at least {count} day(s) apart': 'repetitions at least {count} day(s) apart',
+    'at most {count} course(s) in a row without a {minutes}-minute break': 'at most {count} course(s) in a row without a {minutes}-minute break',
+    'at most {count} dance day(s) per week': 'at most {count} dance day(s) per week',
+    'at most {count} dance day(s) in a row': 'at most {count} dance day(s) in a row',
+    'at most {count} course(s) per week': 'at most {count} course(s) per week',
+    'at most {hours} hour(s) of dancing per week': 'at most {hours} hour(s) of dancing per week',
+    'at most {count} course(s) per day': 'at most {count} course(s) per day',
+    'gaps of at most {hours} hour(s)': 'gaps of at most {hours} hour(s)',
+    'courses from {time}': 'courses from {time}',
+    'courses until {time}': 'courses until {time}',
+    'courses only on {days}': 'courses only on {days}',
+    'no courses on {days}': 'no courses on {days}',
+    'only the ticked start times': 'only the ticked start times',
+    '{items} cannot be satisfied': '{items} cannot be satisfied',
+    '{items} cannot hold together': '{items} cannot hold together',
+    'Enable additional time slots for "{course}" to resolve conflict': 'Enable additional time slots for "{course}" to resolve conflict',
+    'Enable the {time} time slot on {day}': 'Enable the {time} time slot on {day}',
+    'Allow {count} courses per day (currently {current})': 'Allow {count} courses per day (currently {current})',
+    'Allow up to {hours} hour gaps between courses (currently {current})': 'Allow up to {hours} hour gaps between courses (currently {current})',
+    'Allow the same course more than once per day': 'Allow the same course more than once per day',
+    'Allow repetitions {count} day(s) apart (currently {current})': 'Allow repetitions {count} day(s) apart (currently {current})',
+    'Allow repetitions on any days (currently {current} day(s) apart)': 'Allow repetitions on any days (currently {current} day(s) apart)',
+    'Allow repetitions {count} day(s) apart (was {current})': 'Allow repetitions {count} day(s) apart (was {current})',
+    'Allow repetitions on any days (was {current} day(s) apart)': 'Allow repetitions on any days (was {current} day(s) apart)',
+    'Allow {count} dance days per week (currently {current})': 'Allow {count} dance days per week (currently {current})',
+    'Allow {count} dance days in a row (currently {current})': 'Allow {count} dance days in a row (currently {current})',
+    'Allow {count} dance days per week (was {current})': 'Allow {count} dance days per week (was {current})',
+    'Allow {count} dance days in a row (was {current})': 'Allow {count} dance days in a row (was {current})',
+    'Allow {count} courses per week (currently {current})': 'Allow {count} courses per week (currently {current})',
+    'Allow {count} dance hours per week (currently {current})': 'Allow {count} dance hours per week (currently {current})',
+    'Allow {count} courses per week (was {current})': 'Allow {count} courses per week (was {current})',
+    'Allow {count} courses in a row without a break (currently {current})': 'Allow {count} courses in a row without a break (currently {current})',
+    'Allow {count} courses in a row without a break (was {current})': 'Allow {count} courses in a row without a break (was {current})',
+    'Allow {count} dance hours per week (was {current})': 'Allow {count} dance hours per week (was {current})',
+    'Allow courses starting at {time} (currently from {current})': 'Allow courses starting at {time} (currently from {current})',
+    'Allow courses ending at {time} (currently until {current})': 'Allow courses ending at {time} (currently until {current})',
+    'Unblock {day} for courses': 'Unblock {day} for courses',
+    'Allow courses on {day}': 'Allow courses on {day}',
+    'Take "{course}" {count} times instead of {current} times': 'Take "{course}" {count} times instead of {current} times',
+    'Consider removing "{course}" to make scheduling possible': 'Consider removing "{course}" to make scheduling possible',
+    'Allow {count} courses per day (was {current})': 'Allow {count} courses per day (was {current})',
+    'Allow {hours} hour gaps (was {current})': 'Allow {hours} hour gaps (was {current})',
+    'Take "{course}" {count} times (was {current} times)': 'Take "{course}" {count} times (was {current} times)',
+    'Enable {count} additional time slot(s) for "{course}"': 'Enable {count} additional time slot(s) for "{course}"',
+    // Near-miss schedules
+    '{amount} course(s) more than {limit} on one day': '{amount} course(s) more than {limit} on one day',
+    '{amount} course(s) more than {limit} per week': '{amount} course(s) more than {limit} per week',
+    '{amount} minutes more than {limit} hour(s) of dancing per week': '{amount} minutes more than {limit} hour(s) of dancing per week',
+    '{amount} dance day(s) more than {limit} per week': '{amount} dance day(s) more than {limit} per week',
+    '{amount} dance day(s) in a row more than {limit}': '{amount} dance day(s) in a row more than {limit}',
+    '{amount} course(s) in a row more than {limit} without a {minutes}-minute break': '{amount} course(s) in a row more than {limit} without a {minutes}-minute break',
+    'Repetitions {amount} day(s) closer than {limit} day(s) apart': 'Repetitions {amount} day(s) closer than {limit} day(s) apart',
+    '{amount} course link(s) broken: {relations}': '{amount} course link(s) broken: {relations}',
+    'Gap {amount} hour(s) longer than {limit} hour(s)': 'Gap {amount} hour(s) longer than {limit} hour(s)',
+    '{amount} course(s) twice on the same day': '{amount} course(s) twice on the same day',
+    'Starts {amount} minutes before {time}': 'Starts {amount} minutes before {time}',
+    'Ends {amount} minutes after {time}': 'Ends {amount} minutes after {time}',
+    '{amount} course(s) on blocked {days}': '{amount} course(s) on blocked {days}',
+    '{amount} course(s) on {days}, outside the allowed days': '{amount} course(s) on {days}, outside the allowed days',
+    '{amount} course(s) at unticked start times': '{amount} course(s) at unticked start times',
+    'and': 'and',
     'minutes (for gap calculations)': 'minutes (for gap calculations)',
     'Duration of each course including break time. Default: 70 minutes (60min class + 10min break)': 'Duration of each course including break time. Default: 70 minutes (60min class + 10min break)',
     'Course Multiplicity': 'Course Multiplicity',
@@ -201,13 +386,6 @@ const translations = {
     'average gap between courses': 'average gap between courses',
     
     // Suggestions
-    'Allow more time between courses': 'Allow more time between courses',
-    'Add more available times': 'Add more available times',
-    'Add specific time slot': 'Add specific time slot',
-    'Add all time slots for day': 'Add all time slots for day',
-    'Enable time slots for day': 'Enable time slots for day',
-    'Reduce course selection': 'Reduce course selection',
-    'Adjust constraints': 'Adjust constraints',
     
     // Share messages
     'Configuration': 'Configuration',
@@ -273,9 +451,193 @@ const translations = {
     'Day Constraints': 'Tagesbeschränkungen',
     'Time Constraints': 'Zeitbeschränkungen',
     'Maximum courses per day': 'Maximale Kurse pro Tag',
+    'No duplicate course per day': 'Kein Kurs doppelt am selben Tag',
+    'Courses taken several times a week are spread over different days': 'Mehrmals pro Woche belegte Kurse werden auf verschiedene Tage verteilt',
+    'Minimum days between repetitions': 'Mindestabstand zwischen Wiederholungen (Tage)',
+    'Courses in a row before a break': 'Kurse am Stück vor einer Pause',
+    'Minimum break': 'Mindestpause',
+    'min': 'Min.',
+    'Give breaks a weight in the schedule ranking to make this a preference instead of a rule': 'Mit einem Gewicht für Pausen in der Sortierung der Stundenpläne wird dies zur Vorliebe statt zur Regel',
+    'Maximum courses per week': 'Maximale Kurse pro Woche',
+    'Courses taken several times a week count once per session': 'Mehrmals pro Woche belegte Kurse zählen bei jedem Termin',
+    'Maximum dance hours per week': 'Maximale Tanzstunden pro Woche',
+    'Maximum dance days per week': 'Maximale Tanztage pro Woche',
+    'Maximum dance days in a row': 'Maximale Tanztage am Stück',
+    'Leaves recovery days; Sunday and the following Monday count as a row': 'Lässt Erholungstage frei; Sonntag und der folgende Montag zählen als aufeinanderfolgend',
+    'Off': 'Aus',
+    'Sessions of the same course are at least this many days apart, e.g. Monday and Thursday': 'Termine desselben Kurses liegen mindestens so viele Tage auseinander, z. B. Montag und Donnerstag',
+    'Prevent overlaps': 'Überschneidungen verhindern',
+    'Never schedule courses whose times overlap': 'Keine Kurse einplanen, deren Zeiten sich überschneiden',
     'Maximum empty slots between courses': 'Maximale Lücken zwischen Kursen',
     'Advanced Settings': 'Erweiterte Einstellungen',
     'Course Duration (minutes)': 'Kursdauer (Minuten)',
+    'Schedule Ranking': 'Sortierung der Stundenpläne',
+    'Weight how much each preference matters when sorting schedules (0 = ignore)': 'Gewichte, wie wichtig dir jede Präferenz beim Sortieren ist (0 = ignorieren)',
+    'Fewer days': 'Weniger Tage',
+    'Ending early': 'Früh fertig sein',
+    'No gaps between courses': 'Keine Lücken zwischen Kursen',
+    'Preferred teachers': 'Bevorzugte Lehrer',
+    'Spread repetitions evenly': 'Wiederholungen gleichmäßig verteilen',
+    'Breaks after consecutive courses': 'Pausen nach Kursen am Stück',
+    'Ranking penalty': 'Abzug in der Sortierung',
+    'Many combinations possible - showing the best schedules found so far': 'Sehr viele Kombinationen möglich - es werden die besten bisher gefundenen Stundenpläne angezeigt',
+    'combinations checked': 'Kombinationen geprüft',
+    'schedules found': 'Stundenpläne gefunden',
+    'looking for suggestions': 'suche nach Vorschlägen',
+    'Show 20 more': '20 weitere anzeigen',
+    'Loading more schedules...': 'Weitere Stundenpläne werden geladen...',
+    'unlocks 1 schedule': 'ermöglicht 1 Stundenplan',
+    'unlocks {count} schedules': 'ermöglicht {count} Stundenpläne',
+    'best uses 1 day': 'der beste nutzt 1 Tag',
+    'best uses {days} days': 'der beste nutzt {days} Tage',
+    'Apply': 'Übernehmen',
+    'Applied': 'Übernommen',
+    'Undo': 'Rückgängig',
+    'Show {count} schedules': '{count} Stundenpläne anzeigen',
+    'Hide schedules': 'Stundenpläne ausblenden',
+    'Keeps all other constraints': 'Hält alle anderen Beschränkungen ein',
+    'Sort by': 'Sortieren nach',
+    'Best score': 'Beste Bewertung',
+    'Most different': 'Möglichst unterschiedlich',
+    'Trade-offs': 'Abwägungen',
+    'Keep this': 'Behalten',
+    'Course Priority': 'Kurspriorität',
+    'Nice-to-have courses are left out when they do not fit; schedules fit as much of their value as possible': 'Wunschkurse werden weggelassen, wenn sie nicht passen; Stundenpläne enthalten so viel ihres Werts wie möglich',
+    'Must have': 'Pflicht',
+    'Nice to have': 'Wunsch',
+    'Value': 'Wert',
+    'Left out': 'Weggelassen',
+    'Course Groups': 'Kursgruppen',
+    'Let the planner pick some courses of a group for you': 'Der Planer wählt einige Kurse einer Gruppe für dich aus',
+    'New group': 'Neue Gruppe',
+    'Choose': 'Wähle',
+    'Save group': 'Gruppe speichern',
+    'Remove group': 'Gruppe entfernen',
+    'Any {count} of {courses}': 'Beliebige {count} von {courses}',
+    'Course Links': 'Kursverknüpfungen',
+    'Tie courses together, e.g. a technique class directly before a practice session': 'Kurse miteinander verknüpfen, z. B. eine Technikstunde direkt vor dem Übungsabend',
+    'Course': 'Kurs',
+    'Add link': 'Verknüpfung hinzufügen',
+    'Remove link': 'Verknüpfung entfernen',
+    'on the same day as': 'am selben Tag wie',
+    'not on the same day as': 'nicht am selben Tag wie',
+    'directly before': 'direkt vor',
+    'earlier in the week than': 'früher in der Woche als',
+    'Kept': 'Festgehalten',
+    'Always plan this course at this time': 'Diesen Kurs immer zu dieser Zeit einplanen',
+    'Stop keeping this course at this time': 'Diesen Kurs nicht mehr festhalten',
+    'Compare': 'Vergleichen',
+    'All trade-offs': 'Alle Abwägungen',
+    'Fewest days': 'Wenigste Tage',
+    'Smallest max gap': 'Kleinste maximale Lücke',
+    'Least busy day': 'Wenigste Kurse am vollsten Tag',
+    'Fewest hours': 'Wenigste Stunden',
+    'Smallest average gap': 'Kleinste durchschnittliche Lücke',
+    // Solver hints, alternatives and constraint descriptions
+    'Maximum {count} courses per day': 'Höchstens {count} Kurse pro Tag',
+    'Maximum {hours} hours gap between courses on same day (course duration: {minutes}min)': 'Höchstens {hours} Stunden Lücke zwischen Kursen am selben Tag (Kursdauer: {minutes}min)',
+    'No overlapping time slots': 'Keine überlappenden Zeitslots',
+    'Courses starting at {start} or later and ending by {end}': 'Kurse ab {start} und bis spätestens {end}',
+    'Courses starting at {start} or later': 'Kurse ab {start}',
+    'Courses ending by {end}': 'Kurse bis spätestens {end}',
+    'Courses only on {days}; no courses on {blockedDays}': 'Kurse nur am {days}; keine Kurse am {blockedDays}',
+    'Courses only on {days}': 'Kurse nur am {days}',
+    'No courses on {blockedDays}': 'Keine Kurse am {blockedDays}',
+    'Allowed start times: {rules}': 'Erlaubte Startzeiten: {rules}',
+    '{times} on {day}': '{times} am {day}',
+    'nothing on {day}': 'keine am {day}',
+    'Same course at most once per day': 'Derselbe Kurs höchstens einmal pro Tag',
+    'Repetitions at least {count} day(s) apart': 'Wiederholungen mindestens {count} Tag(e) auseinander',
+    'At most {count} course(s) in a row without a {minutes}-minute break': 'Höchstens {count} Kurs(e) am Stück ohne {minutes} Minuten Pause',
+    'At most {count} dance day(s) per week': 'Höchstens {count} Tanztag(e) pro Woche',
+    'At most {count} dance day(s) in a row': 'Höchstens {count} Tanztag(e) am Stück',
+    'At most {count} course(s) per week': 'Höchstens {count} Kurs(e) pro Woche',
+    'At most {hours} hour(s) of dancing per week': 'Höchstens {hours} Stunde(n) Tanzen pro Woche',
+    'Course multiplicity: {courses}': 'Kurshäufigkeit: {courses}',
+    '{course}: {count} times': '{course}: {count} mal',
+    'Kept courses: {courses}': 'Beibehaltene Kurse: {courses}',
+    '{course} at {times}': '{course} am {times}',
+    '{day} {time}': '{day} {time}',
+    'Prefer fewer days (weight {weight})': 'Weniger Tage bevorzugen (Gewicht {weight})',
+    'Prefer ending before {time} (weight {weight})': 'Ende vor {time} bevorzugen (Gewicht {weight})',
+    'Prefer no gaps between courses (weight {weight})': 'Keine Lücken zwischen Kursen bevorzugen (Gewicht {weight})',
+    'Prefer teachers {teachers} (weight {weight})': 'Lehrer {teachers} bevorzugen (Gewicht {weight})',
+    'Prefer repetitions spread evenly (weight {weight})': 'Wiederholungen gleichmäßig verteilen (Gewicht {weight})',
+    'Prefer a {minutes}-minute break after {count} course(s) in a row (weight {weight})': '{minutes} Minuten Pause nach {count} Kurs(en) am Stück bevorzugen (Gewicht {weight})',
+    '"{course}"': '"{course}"',
+    '"{course}" at the selected times only': '"{course}" nur zu den gewählten Zeiten',
+    '"{course}" {count} times': '"{course}" {count} mal',
+    '"{course}" kept at its pinned time': '"{course}" zur festgehaltenen Zeit',
+    'Course groups: {groups}': 'Kursgruppen: {groups}',
+    'any {count} of {courses}': 'beliebige {count} von {courses}',
+    'Course links: {relations}': 'Kursverknüpfungen: {relations}',
+    '"{first}" on the same day as "{second}"': '"{first}" am selben Tag wie "{second}"',
+    '"{first}" not on the same day as "{second}"': '"{first}" nicht am selben Tag wie "{second}"',
+    '"{first}" directly before "{second}"': '"{first}" direkt vor "{second}"',
+    '"{first}" earlier in the week than "{second}"': '"{first}" früher in der Woche als "{second}"',
+    'no overlapping courses': 'keine überlappenden Kurse',
+    'each course at most once per day': 'jeder Kurs höchstens einmal pro Tag',
+    'repetitions at least {count} day(s) apart': 'Wiederholungen mindestens {count} Tag(e) auseinander',
+    'at most {count} course(s) in a row without a {minutes}-minute break': 'höchstens {count} Kurs(e) am Stück ohne {minutes} Minuten Pause',
+    'at most {count} dance day(s) per week': 'höchstens {count} Tanztag(e) pro Woche',
+    'at most {count} dance day(s) in a row': 'höchstens {count} Tanztag(e) am Stück',
+    'at most {count} course(s) per week': 'höchstens {count} Kurs(e) pro Woche',
+    'at most {hours} hour(s) of dancing per week': 'höchstens {hours} Stunde(n) Tanzen pro Woche',
+    'at most {count} course(s) per day': 'höchstens {count} Kurs(e) pro Tag',
+    'gaps of at most {hours} hour(s)': 'Lücken von höchstens {hours} Stunde(n)',
+    'courses from {time}': 'Kurse ab {time}',
+    'courses until {time}': 'Kurse bis {time}',
+    'courses only on {days}': 'Kurse nur am {days}',
+    'no courses on {days}': 'keine Kurse am {days}',
+    'only the ticked start times': 'nur die angehakten Startzeiten',
+    '{items} cannot be satisfied': '{items} lässt sich nicht erfüllen',
+    '{items} cannot hold together': '{items} passen nicht zusammen',
+    'Enable additional time slots for "{course}" to resolve conflict': 'Weitere Zeitslots für "{course}" aktivieren, um den Konflikt zu lösen',
+    'Enable the {time} time slot on {day}': 'Zeitslot {time} am {day} aktivieren',
+    'Allow {count} courses per day (currently {current})': '{count} Kurse pro Tag erlauben (aktuell {current})',
+    'Allow up to {hours} hour gaps between courses (currently {current})': 'Lücken bis zu {hours} Stunden zwischen Kursen erlauben (aktuell {current})',
+    'Allow the same course more than once per day': 'Mehrere Termine desselben Kurses pro Tag erlauben',
+    'Allow repetitions {count} day(s) apart (currently {current})': 'Wiederholungen {count} Tag(e) auseinander erlauben (aktuell {current})',
+    'Allow repetitions on any days (currently {current} day(s) apart)': 'Wiederholungen an beliebigen Tagen erlauben (aktuell {current} Tag(e) auseinander)',
+    'Allow repetitions {count} day(s) apart (was {current})': 'Wiederholungen {count} Tag(e) auseinander erlauben (vorher {current})',
+    'Allow repetitions on any days (was {current} day(s) apart)': 'Wiederholungen an beliebigen Tagen erlauben (vorher {current} Tag(e) auseinander)',
+    'Allow {count} dance days per week (currently {current})': '{count} Tanztage pro Woche erlauben (aktuell {current})',
+    'Allow {count} dance days in a row (currently {current})': '{count} Tanztage am Stück erlauben (aktuell {current})',
+    'Allow {count} dance days per week (was {current})': '{count} Tanztage pro Woche erlauben (vorher {current})',
+    'Allow {count} dance days in a row (was {current})': '{count} Tanztage am Stück erlauben (vorher {current})',
+    'Allow {count} courses per week (currently {current})': '{count} Kurse pro Woche erlauben (aktuell {current})',
+    'Allow {count} dance hours per week (currently {current})': '{count} Tanzstunden pro Woche erlauben (aktuell {current})',
+    'Allow {count} courses per week (was {current})': '{count} Kurse pro Woche erlauben (vorher {current})',
+    'Allow {count} courses in a row without a break (currently {current})': '{count} Kurse am Stück ohne Pause erlauben (aktuell {current})',
+    'Allow {count} courses in a row without a break (was {current})': '{count} Kurse am Stück ohne Pause erlauben (vorher {current})',
+    'Allow {count} dance hours per week (was {current})': '{count} Tanzstunden pro Woche erlauben (vorher {current})',
+    'Allow courses starting at {time} (currently from {current})': 'Kurse ab {time} erlauben (aktuell ab {current})',
+    'Allow courses ending at {time} (currently until {current})': 'Kurse bis {time} erlauben (aktuell bis {current})',
+    'Unblock {day} for courses': '{day} für Kurse freigeben',
+    'Allow courses on {day}': 'Kurse am {day} erlauben',
+    'Take "{course}" {count} times instead of {current} times': '"{course}" {count} mal statt {current} mal belegen',
+    'Consider removing "{course}" to make scheduling possible': '"{course}" entfernen, um einen Stundenplan zu ermöglichen',
+    'Allow {count} courses per day (was {current})': '{count} Kurse pro Tag erlauben (vorher {current})',
+    'Allow {hours} hour gaps (was {current})': 'Lücken von {hours} Stunden erlauben (vorher {current})',
+    'Take "{course}" {count} times (was {current} times)': '"{course}" {count} mal belegen (vorher {current} mal)',
+    'Enable {count} additional time slot(s) for "{course}"': '{count} weitere(n) Zeitslot(s) für "{course}" aktivieren',
+    // Near-miss schedules
+    '{amount} course(s) more than {limit} on one day': '{amount} Kurs(e) mehr als {limit} an einem Tag',
+    '{amount} course(s) more than {limit} per week': '{amount} Kurs(e) mehr als {limit} pro Woche',
+    '{amount} minutes more than {limit} hour(s) of dancing per week': '{amount} Minuten mehr als {limit} Stunde(n) Tanzen pro Woche',
+    '{amount} dance day(s) more than {limit} per week': '{amount} Tanztag(e) mehr als {limit} pro Woche',
+    '{amount} dance day(s) in a row more than {limit}': '{amount} Tanztag(e) am Stück mehr als {limit}',
+    '{amount} course(s) in a row more than {limit} without a {minutes}-minute break': '{amount} Kurs(e) am Stück mehr als {limit} ohne {minutes} Minuten Pause',
+    'Repetitions {amount} day(s) closer than {limit} day(s) apart': 'Wiederholungen {amount} Tag(e) näher als {limit} Tag(e) auseinander',
+    '{amount} course link(s) broken: {relations}': '{amount} Kursverknüpfung(en) verletzt: {relations}',
+    'Gap {amount} hour(s) longer than {limit} hour(s)': 'Lücke {amount} Stunde(n) länger als {limit} Stunde(n)',
+    '{amount} course(s) twice on the same day': '{amount} Kurs(e) zweimal am selben Tag',
+    'Starts {amount} minutes before {time}': 'Beginnt {amount} Minuten vor {time}',
+    'Ends {amount} minutes after {time}': 'Endet {amount} Minuten nach {time}',
+    '{amount} course(s) on blocked {days}': '{amount} Kurs(e) am gesperrten {days}',
+    '{amount} course(s) on {days}, outside the allowed days': '{amount} Kurs(e) am {days}, außerhalb der erlaubten Tage',
+    '{amount} course(s) at unticked start times': '{amount} Kurs(e) zu nicht angehakten Startzeiten',
+    'and': 'und',
     'minutes (for gap calculations)': 'Minuten (für Lückenberechnung)',
     'Duration of each course including break time. Default: 70 minutes (60min class + 10min break)': 'Dauer jedes Kurses inklusive Pause. Standard: 70 Minuten (60min Unterricht + 10min Pause)',
     'Course Multiplicity': 'Kurshäufigkeit',
@@ -482,13 +844,6 @@ const translations = {
     'average gap between courses': 'durchschnittliche Lücke zwischen Kursen',
     
     // Suggestions
-    'Allow more time between courses': 'Mehr Zeit zwischen Kursen erlauben',
-    'Add more available times': 'Mehr verfügbare Zeiten hinzufügen',
-    'Add specific time slot': 'Spezifischen Zeitslot hinzufügen',
-    'Add all time slots for day': 'Alle Zeitslots für Tag hinzufügen',
-    'Enable time slots for day': 'Zeitslots für Tag aktivieren',
-    'Reduce course selection': 'Kursauswahl reduzieren',
-    'Adjust constraints': 'Beschränkungen anpassen',
     
     // Share messages
     'Configuration': 'Konfiguration',
@@ -695,6 +1050,19 @@ export function useI18n() {
     return dayMap[germanDayCode] || germanDayCode
   }
 
+  // Render a structured solver message ({ code, params }) in the current language
+  const formatSolverMessage = (message) => {
+    if (!message) return ''
+    const text = formatMessage(message.code, message.params, {
+      translate: code => t(code),
+      day: translateDayCode,
+      and: t('and'),
+      // German nouns keep their capital letter inside a sentence
+      lowercase: currentLanguage.value === 'de' ? text => text : undefined
+    })
+    return text.charAt(0).toUpperCase() + text.slice(1)
+  }
+
   // Centralized day color mapping (avoiding green which is used for selections)
   const getDayColors = (dayCode) => {
     const colorMap = {
@@ -725,6 +1093,7 @@ export function useI18n() {
     setLanguage,
     dayNames,
     translateDayCode,
+    formatSolverMessage,
     getDayColors
   }
 }
@@ -0,0 +1,155 @@
+import { ref } from 'vue'
+import { createSolverMessageHandler } from '../workers/solverWorker.js'
+
+/**
+ * Run the HintingSolver in a Web Worker with progress reporting and cancellation
+ *
+ * Only one run is active at a time: starting a new run cancels the previous one,
+ * whose promise then resolves with { cancelled: true }. After a successful run,
+ * more() pages through further schedules. Without Web Worker support the
+ * solver runs on the main thread instead.
+ */
+export function useSolverWorker() {
+  const running = ref(false)
+  const progress = ref(null) // { phase, nodesExplored, solutionsFound } of the active run
+
+  let worker = null
+  let localHandler = null // Main thread fallback without Web Worker support
+  let activeRun = null // { id, resolve, reject }
+  let nextRunId = 0
+  let pageableRunId = null // Id of the last successful run, whose schedules more() continues
+
+  const finishRun = () => {
+    activeRun = null
+    running.value = false
+  }
+
+  const handleMessage = (event) => {
+    const message = event.data
+    // Ignore messages of cancelled runs
+    if (!activeRun || message.id !== activeRun.id) return
+
+    const run = activeRun
+    if (message.type === 'progress') {
+      progress.value = {
+        phase: message.phase,
+        nodesExplored: message.nodesExplored,
+        solutionsFound: message.solutionsFound
+      }
+    } else if (message.type === 'result') {
+      finishRun()
+      pageableRunId = message.result.success ? message.id : null
+      run.resolve({ cancelled: false, result: message.result })
+    } else if (message.type === 'page') {
+      finishRun()
+      run.resolve({ cancelled: false, schedules: message.schedules, done: message.done })
+    } else if (message.type === 'error') {
+      finishRun()
+      run.reject(new Error(message.message))
+    }
+  }
+
+  const getWorker = () => {
+    if (!worker) {
+      worker = new Worker(new URL('../workers/solverWorker.js', import.meta.url), { type: 'module' })
+      worker.onmessage = handleMessage
+      worker.onerror = (event) => {
+        console.error('[SolverWorker] Worker error:', event.message)
+        if (activeRun) {
+          const run = activeRun
+          finishRun()
+          run.reject(new Error(event.message || 'Solver worker failed'))
+        }
+        worker = null
+      }
+    }
+    return worker
+  }
+
+  const post = (message) => {
+    if (typeof Worker === 'undefined') {
+      if (!localHandler) {
+        localHandler = createSolverMessageHandler(data => handleMessage({ data }))
+      }
+      localHandler(message)
+    } else {
+      getWorker().postMessage(message)
+    }
+  }
+
+  /**
+   * Solve a scheduling problem, cancelling any run still in progress
+   * @param {Object} input - HintingSolver input
+   * @param {Object} [options] - HintingSolver options plus maxSolutions
+   * @returns {Promise<Object>} { cancelled: true } or { cancelled: false, result }
+   */
+  const solve = (input, options = {}) => {
+    cancel()
+
+    const id = ++nextRunId
+    pageableRunId = null
+    running.value = true
+    progress.value = { phase: 'solving', nodesExplored: 0, solutionsFound: 0 }
+
+    return new Promise((resolve, reject) => {
+      activeRun = { id, resolve, reject }
+      post({ type: 'start', id, input, options })
+    })
+  }
+
+  /**
+   * Fetch further schedules of the last successful run
+   * @param {number} [count=20] - Maximum number of schedules
+   * @returns {Promise<Object>} { cancelled: true } or { cancelled: false, schedules, done }
+   */
+  const more = (count = 20) => {
+    if (pageableRunId === null) {
+      return Promise.resolve({ cancelled: false, schedules: [], done: true })
+    }
+    cancel()
+
+    const id = pageableRunId
+    running.value = true
+    return new Promise((resolve, reject) => {
+      activeRun = { id, resolve, reject }
+      post({ type: 'more', id, count })
+    })
+  }
+
+  /**
+   * Cancel the active run, if any
+   */
+  const cancel = () => {
+    if (!activeRun) return
+
+    const run = activeRun
+    finishRun()
+    if (worker) {
+      // The search cannot be interrupted by messages, so stop the busy worker
+      worker.terminate()
+      worker = null
+      pageableRunId = null // Paging state was lost with the worker
+    }
+    run.resolve({ cancelled: true })
+  }
+
+  /**
+   * Stop the worker for good (e.g. when the component unmounts)
+   */
+  const dispose = () => {
+    cancel()
+    if (worker) {
+      worker.terminate()
+      worker = null
+    }
+  }
+
+  return {
+    running,
+    progress,
+    solve,
+    more,
+    cancel,
+    dispose
+  }
+}
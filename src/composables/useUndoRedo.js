@@ -13,6 +13,8 @@ export function useUndoRedo(initialState, maxHistorySize = 50) {
     maxTimeBetweenCourses: 4,
     noDuplicateCoursesPerDay: true,
     preventOverlaps: true,
+    preferenceWeights: { fewerDays: 1, endEarly: 0, noGaps: 1, preferredTeachers: 1 },
+    preferredTeachers: [],
     highlightSchedule: null
   }
   
@@ -9,6 +9,23 @@ export function useUrlState() {
     window.history.replaceState({}, '', newUrl)
   }
 
+  // Preference weights are shared as 'fewerDays:1,endEarly:0,...'
+  const serializeWeights = (weights) => {
+    return Object.entries(weights).map(([name, weight]) => `${name}:${weight}`).join(',')
+  }
+
+  const parseWeights = (value) => {
+    const weights = {}
+    for (const entry of value.split(',').filter(Boolean)) {
+      const [name, weight] = entry.split(':')
+      const parsed = parseFloat(weight)
+      if (name && !isNaN(parsed) && parsed >= 0) {
+        weights[name] = parsed
+      }
+    }
+    return weights
+  }
+
   const loadFromUrl = () => {
     const params = new URLSearchParams(window.location.search)
     const config = {}
@@ -43,6 +60,22 @@ export function useUrlState() {
       config.maxCoursesPerDay = parseInt(params.get('maxPerDay')) || 3
     }
 
+    if (params.has('maxWeek')) {
+      config.maxCoursesPerWeek = parseInt(params.get('maxWeek')) || 0
+    }
+
+    if (params.has('maxHours')) {
+      config.maxHoursPerWeek = parseFloat(params.get('maxHours')) || 0
+    }
+
+    if (params.has('maxDays')) {
+      config.maxDaysPerWeek = parseInt(params.get('maxDays')) || 0
+    }
+
+    if (params.has('maxInARow')) {
+      config.maxConsecutiveDays = parseInt(params.get('maxInARow')) || 0
+    }
+
     if (params.has('maxGap')) {
       config.maxTimeBetweenCourses = parseFloat(params.get('maxGap')) || 4
     }
@@ -51,6 +84,18 @@ export function useUrlState() {
       config.noDuplicateCoursesPerDay = params.get('noDupe') === 'true'
     }
 
+    if (params.has('minSpacing')) {
+      config.minDaysBetweenRepetitions = parseInt(params.get('minSpacing')) || 0
+    }
+
+    if (params.has('breakAfter')) {
+      config.maxConsecutiveCourses = parseInt(params.get('breakAfter')) || 0
+    }
+
+    if (params.has('minBreak')) {
+      config.minBreakMinutes = parseInt(params.get('minBreak')) || 30
+    }
+
     if (params.has('noOverlap')) {
       config.preventOverlaps = params.get('noOverlap') === 'true'
     }
@@ -59,6 +104,14 @@ export function useUrlState() {
       config.disablePairCourses = params.get('noPair') === 'true'
     }
 
+    if (params.has('weights')) {
+      config.preferenceWeights = parseWeights(params.get('weights'))
+    }
+
+    if (params.has('teachers')) {
+      config.preferredTeachers = params.get('teachers').split(',').filter(Boolean)
+    }
+
     // Parse per-day time slots
     if (params.has('timeSlots')) {
       try {
@@ -120,6 +173,22 @@ export function useUrlState() {
       params.set('maxPerDay', config.maxCoursesPerDay.toString())
     }
 
+    if (config.maxCoursesPerWeek > 0) {
+      params.set('maxWeek', config.maxCoursesPerWeek.toString())
+    }
+
+    if (config.maxHoursPerWeek > 0) {
+      params.set('maxHours', config.maxHoursPerWeek.toString())
+    }
+
+    if (config.maxDaysPerWeek > 0) {
+      params.set('maxDays', config.maxDaysPerWeek.toString())
+    }
+
+    if (config.maxConsecutiveDays > 0) {
+      params.set('maxInARow', config.maxConsecutiveDays.toString())
+    }
+
     if (config.maxTimeBetweenCourses > 0) {
       params.set('maxGap', config.maxTimeBetweenCourses.toString())
     }
@@ -128,6 +197,15 @@ export function useUrlState() {
       params.set('noDupe', config.noDuplicateCoursesPerDay.toString())
     }
 
+    if (config.minDaysBetweenRepetitions > 0) {
+      params.set('minSpacing', config.minDaysBetweenRepetitions.toString())
+    }
+
+    if (config.maxConsecutiveCourses > 0) {
+      params.set('breakAfter', config.maxConsecutiveCourses.toString())
+      params.set('minBreak', config.minBreakMinutes.toString())
+    }
+
     if (config.preventOverlaps !== true) {
       params.set('noOverlap', config.preventOverlaps.toString())
     }
@@ -136,6 +214,14 @@ export function useUrlState() {
       params.set('noPair', config.disablePairCourses.toString())
     }
 
+    if (config.preferenceWeights && serializeWeights(config.preferenceWeights) !== 'fewerDays:1,endEarly:0,noGaps:1,preferredTeachers:1') {
+      params.set('weights', serializeWeights(config.preferenceWeights))
+    }
+
+    if (config.preferredTeachers && config.preferredTeachers.length > 0) {
+      params.set('teachers', config.preferredTeachers.join(','))
+    }
+
     // Save per-day time slots
     if (config.perDayTimeSlots && Object.keys(config.perDayTimeSlots).length > 0) {
       params.set('timeSlots', encodeURIComponent(JSON.stringify(config.perDayTimeSlots)))
@@ -196,22 +282,57 @@ export function useUrlState() {
       params.set('maxPerDay', config.maxCoursesPerDay.toString())
     }
 
+    if (config.maxCoursesPerWeek > 0) {
+      params.set('maxWeek', config.maxCoursesPerWeek.toString())
+    }
+
+    if (config.maxHoursPerWeek > 0) {
+      params.set('maxHours', config.maxHoursPerWeek.toString())
+    }
+
+    if (config.maxDaysPerWeek > 0) {
+      params.set('maxDays', config.maxDaysPerWeek.toString())
+    }
+
+    if (config.maxConsecutiveDays > 0) {
+      params.set('maxInARow', config.maxConsecutiveDays.toString())
+    }
+
     if (config.maxTimeBetweenCourses && config.maxTimeBetweenCourses !== 4) {
       params.set('maxGap', config.maxTimeBetweenCourses.toString())
     }
 
-    if (config.noDuplicateCoursesPerDay) {
-      params.set('noDupe', 'true')
+    // Always share both toggles so disabled ones override the recipient's settings
+    if (config.noDuplicateCoursesPerDay !== undefined) {
+      params.set('noDupe', config.noDuplicateCoursesPerDay.toString())
+    }
+
+    if (config.minDaysBetweenRepetitions > 0) {
+      params.set('minSpacing', config.minDaysBetweenRepetitions.toString())
     }
 
-    if (config.preventOverlaps) {
-      params.set('noOverlap', 'true')
+    if (config.maxConsecutiveCourses > 0) {
+      params.set('breakAfter', config.maxConsecutiveCourses.toString())
+      params.set('minBreak', config.minBreakMinutes.toString())
+    }
+
+    if (config.preventOverlaps !== undefined) {
+      params.set('noOverlap', config.preventOverlaps.toString())
     }
 
     if (config.disablePairCourses) {
       params.set('noPair', 'true')
     }
 
+    // Always share the weights so the recipient sees the same ranking
+    if (config.preferenceWeights) {
+      params.set('weights', serializeWeights(config.preferenceWeights))
+    }
+
+    if (config.preferredTeachers && config.preferredTeachers.length > 0) {
+      params.set('teachers', config.preferredTeachers.join(','))
+    }
+
     // Save per-day time slots
     if (config.perDayTimeSlots && Object.keys(config.perDayTimeSlots).length > 0) {
       params.set('timeSlots', encodeURIComponent(JSON.stringify(config.perDayTimeSlots)))
@@ -5,25 +5,235 @@
  * that uses a declarative approach with clear separation of concerns.
  */
 
+// High resolution clock for search statistics (falls back to Date in old environments)
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now())
+
+// Number of ways to choose k items from n (binomial coefficient)
+function countCombinations(n, k) {
+  if (k < 0 || k > n) return 0
+  let result = 1
+  for (let i = 1; i <= k; i++) {
+    result = result * (n - k + i) / i
+  }
+  return result
+}
+
+// Solver day codes in week order
+const WEEK_DAYS = ['MO', 'DI', 'MI', 'DO', 'FR', 'SA', 'SO']
+
+// Days between two day codes, counted around the week (Sunday to Monday is 1)
+function daysApart(a, b) {
+  const distance = Math.abs(WEEK_DAYS.indexOf(a) - WEEK_DAYS.indexOf(b))
+  return Math.min(distance, WEEK_DAYS.length - distance)
+}
+
+// Lengths of the runs of courses on each day that follow each other with
+// less than minBreakMinutes between one's end and the next one's start
+function consecutiveRunLengths(slots, minBreakMinutes, courseDurationMinutes) {
+  const runs = []
+  for (const day of new Set(slots.map(slot => slot.day))) {
+    const daySlots = slots.filter(slot => slot.day === day).sort((a, b) => a.slot - b.slot)
+    let run = 0
+    let runEnd = -Infinity
+    for (const slot of daySlots) {
+      if (slot.slot - runEnd >= minBreakMinutes) {
+        if (run > 0) runs.push(run)
+        run = 0
+      }
+      run++
+      runEnd = Math.max(runEnd, slot.end ?? slot.slot + courseDurationMinutes)
+    }
+    runs.push(run)
+  }
+  return runs
+}
+
+// Default break that ends a run of consecutive courses
+const DEFAULT_MIN_BREAK_MINUTES = 30
+
+// Longest break between two courses that still counts as directly consecutive
+const CONSECUTIVE_BREAK_MINUTES = 15
+
+// Message codes of the course relation types
+const COURSE_RELATION_CODES = {
+  sameDay: '"{first}" on the same day as "{second}"',
+  differentDay: '"{first}" not on the same day as "{second}"',
+  consecutive: '"{first}" directly before "{second}"',
+  before: '"{first}" earlier in the week than "{second}"'
+}
+
+// Longest run of consecutive days among the given day codes, counted around the week
+function longestDayRun(days) {
+  const used = WEEK_DAYS.map(day => days.includes(day))
+  if (used.every(Boolean)) return WEEK_DAYS.length
+  let longest = 0
+  for (let start = 0; start < WEEK_DAYS.length; start++) {
+    if (!used[start] || used[(start + WEEK_DAYS.length - 1) % WEEK_DAYS.length]) continue
+    let run = 0
+    while (used[(start + run) % WEEK_DAYS.length]) run++
+    longest = Math.max(longest, run)
+  }
+  return longest
+}
+
+/**
+ * Format a structured message into English text
+ *
+ * Message codes are English templates with {placeholders}, which doubles as
+ * the translation key for useI18n. Array parameters become lists ("A, B and C"),
+ * nested { code, params } messages are formatted recursively, and a `changes`
+ * parameter joins whole sentences with "and". Parameters named day, days or
+ * ending in Days hold solver day codes ('MO', 'DI', ...).
+ *
+ * @param {string} code - Message template
+ * @param {Object} [params] - Placeholder values
+ * @param {Object} [format] - Hooks for localisation: { translate(code), day(code), and, lowercase(text) }
+ * @returns {string} Formatted message
+ */
+export function formatMessage(code, params = {}, format = {}) {
+  const translate = format.translate || (text => text)
+  const formatDay = format.day || (day => day)
+  const and = format.and || 'and'
+  const lowercase = format.lowercase || (text => text.charAt(0).toLowerCase() + text.slice(1))
+
+  const formatValue = (key, value) => {
+    if (Array.isArray(value)) {
+      const entries = value.map(entry => formatValue(key, entry))
+      if (key === 'changes') {
+        return entries
+          .map((entry, index) => index === 0 ? entry : lowercase(entry))
+          .join(` ${and} `)
+      }
+      return entries.length > 1
+        ? `${entries.slice(0, -1).join(', ')} ${and} ${entries[entries.length - 1]}`
+        : entries.join('')
+    }
+    if (value && typeof value === 'object') {
+      return formatMessage(value.code, value.params, format)
+    }
+    if (/^days?$|Days$/.test(key)) return formatDay(value)
+    return String(value)
+  }
+
+  return translate(code).replace(/\{(\w+)\}/g, (match, key) =>
+    key in params ? formatValue(key, params[key]) : match
+  )
+}
+
+/**
+ * Count the course/slot assignments of one schedule that another does not share
+ * @param {Object} a - Course to slots assignments (the schedule of a solution)
+ * @param {Object} b - Course to slots assignments
+ * @returns {number} Assignments of a that differ in b
+ */
+export function scheduleDistance(a, b) {
+  let distance = 0
+  for (const [courseName, slots] of Object.entries(a)) {
+    const otherSlots = new Set((b[courseName] || []).map(slot => `${slot.day}-${slot.slot}`))
+    distance += slots.filter(slot => !otherSlots.has(`${slot.day}-${slot.slot}`)).length
+  }
+  return distance
+}
+
+/**
+ * Compare two solutions by rank
+ * 
+ * Fitting more optional course value always ranks first; the score only
+ * decides between solutions fitting the same value.
+ * @param {Object} a - Solution (or score bound) with score and optional optionalValue
+ * @param {Object} b - Solution (or score bound) with score and optional optionalValue
+ * @returns {number} Positive if a ranks before b, negative if after, 0 if tied
+ */
+export function compareSolutions(a, b) {
+  return (a.optionalValue ?? 0) - (b.optionalValue ?? 0) || a.score - b.score
+}
+
+// Round metric values so equal trade-offs compare equal despite float noise
+const roundMetric = value => Math.round(value * 100) / 100
+
+/**
+ * Schedule metrics the Pareto search can trade off against each other
+ * 
+ * Each maps a solution (as returned by the solver) and the course duration
+ * to a number; lower is better for all of them.
+ */
+export const SCHEDULE_METRICS = {
+  days: solution => solution.days,
+  maxGap: solution => roundMetric(solution.maxGapBetweenCourses),
+  busiestDay: solution => solution.coursesOnBusiestDay,
+  totalHours: (solution, courseDurationMinutes) => roundMetric(Object.values(solution.schedule).flat()
+    .reduce((sum, slot) => sum + ((slot.end ?? slot.slot + courseDurationMinutes) - slot.slot) / 60, 0)),
+  averageGap: (solution, courseDurationMinutes) => {
+    // Idle time from the end of one course to the start of the next on the same day
+    const gaps = []
+    const slotsByDay = {}
+    for (const slot of Object.values(solution.schedule).flat()) {
+      (slotsByDay[slot.day] = slotsByDay[slot.day] || []).push(slot)
+    }
+    for (const daySlots of Object.values(slotsByDay)) {
+      const sortedSlots = [...daySlots].sort((a, b) => a.slot - b.slot)
+      for (let i = 1; i < sortedSlots.length; i++) {
+        const previousEnd = sortedSlots[i - 1].end ?? sortedSlots[i - 1].slot + courseDurationMinutes
+        gaps.push(Math.max(0, sortedSlots[i].slot - previousEnd) / 60)
+      }
+    }
+    return gaps.length > 0 ? roundMetric(gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length) : 0
+  }
+}
+
 /**
  * Represents a time slot with day and time in minutes from midnight
+ *
+ * The end time is optional. Slots without a known end are assumed to last
+ * one course duration, as everywhere else in the solver, except for overlap
+ * checks (see overlaps()).
  */
 class TimeSlot {
-  constructor(day, slot) {
+  constructor(day, slot, end = null, teacher = null) {
     this.day = day // 'MO', 'DI', etc.
     this.slot = slot // minutes from midnight (e.g., 1200 = 20:00)
+    this.end = end // minutes from midnight when the course ends, or null if unknown
+    this.teacher = teacher // teacher name, or null if unknown
   }
 
   toString() {
-    const hours = Math.floor(this.slot / 60)
-    const minutes = this.slot % 60
-    return `${this.day} ${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`
+    return `${this.day} ${TimeSlot.formatTime(this.slot)}`
+  }
+
+  // Format minutes from midnight as 'HH:MM'
+  static formatTime(minutesFromMidnight) {
+    const hours = Math.floor(minutesFromMidnight / 60)
+    const minutes = minutesFromMidnight % 60
+    return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`
+  }
+
+  // Parse an 'HH:MM' string into minutes from midnight, or null if empty or invalid
+  static parseTime(timeStr) {
+    if (!timeStr) return null
+    const match = /^(\d{1,2}):(\d{2})$/.exec(timeStr.trim())
+    if (!match) return null
+    return parseInt(match[1]) * 60 + parseInt(match[2])
   }
 
   equals(other) {
     return this.day === other.day && this.slot === other.slot
   }
 
+  // End of the slot in minutes from midnight, assuming one course duration if unknown
+  getEnd(courseDurationMinutes = 70) {
+    return this.end ?? this.slot + courseDurationMinutes
+  }
+
+  // Check if the time intervals of two slots intersect (touching intervals do not overlap)
+  // Only known end times count here: course data without them lists start times
+  // closer together than a course duration, so such slots conflict only when
+  // they start at the same minute
+  overlaps(other) {
+    if (this.day !== other.day) return false
+    if (this.slot === other.slot) return true
+    return this.slot < (other.end ?? other.slot) && other.slot < (this.end ?? this.slot)
+  }
+
   // Calculate gap in slots between two time slots on the same day
   gapTo(other) {
     if (this.day !== other.day) return Infinity
@@ -48,7 +258,7 @@ class TimeSlot {
 class Course {
   constructor(name, availableSlots) {
     this.name = name
-    this.availableSlots = availableSlots.map(slot => new TimeSlot(slot.day, slot.slot))
+    this.availableSlots = availableSlots.map(slot => new TimeSlot(slot.day, slot.slot, slot.end ?? null, slot.teacher ?? null))
   }
 }
 
@@ -93,7 +303,22 @@ class Schedule {
     return slotsByDay
   }
 
-  computeStats(courseDurationMinutes = 70) {
+  // Round weighted penalties to two decimals to avoid floating point noise in rankings
+  static roundPenalty(penalty) {
+    return Math.round(penalty * 100) / 100
+  }
+
+  /**
+   * Compute quality metrics for this schedule
+   *
+   * Without soft constraints the legacy score formula is used. When soft
+   * constraints are given, the stats also contain the penalty of each
+   * preference and the score becomes the negated weighted penalty total.
+   *
+   * @param {number} [courseDurationMinutes=70] - Slot duration used for gap calculations
+   * @param {SoftConstraint[]} [softConstraints=[]] - Weighted preferences to score against
+   */
+  computeStats(courseDurationMinutes = 70, softConstraints = []) {
     const slotsByDay = this.getSlotsByDay()
     const days = Object.keys(slotsByDay)
     
@@ -120,13 +345,30 @@ class Schedule {
     // Calculate score: days * 2 + max gap - busiest day * 2
     const score = days.length * 2 + maxGap - coursesOnBusiestDay * 2
 
-    return {
+    const stats = {
       days: days.length,
       maxGapBetweenCourses: maxGap,
       coursesOnBusiestDay,
       score,
       schedule: this.assignments
     }
+
+    if (softConstraints.length > 0) {
+      // Rank by weighted preference penalties instead (lower penalty = higher score)
+      const penalties = {}
+      let weightedPenalty = 0
+      for (const preference of softConstraints) {
+        const penalty = preference.getPenalty(this, courseDurationMinutes)
+        penalties[preference.name] = penalty
+        weightedPenalty += penalty * preference.weight
+      }
+      weightedPenalty = Schedule.roundPenalty(weightedPenalty)
+      stats.penalties = penalties
+      stats.weightedPenalty = weightedPenalty
+      stats.score = -weightedPenalty
+    }
+
+    return stats
   }
 }
 
@@ -143,12 +385,78 @@ class Constraint {
     throw new Error('Constraint.isSatisfied must be implemented')
   }
 
+  /**
+   * Check if a partial schedule can still lead to a solution
+   * 
+   * Used by the search without heuristics. The default checks the partial
+   * schedule like a complete one; constraints that later assignments can
+   * still repair override this, along with allowsAssignment().
+   * @param {Schedule} schedule - The partial schedule to check
+   * @returns {boolean} false if no extension of the schedule can satisfy the constraint
+   */
+  isPartialScheduleSatisfied(schedule) {
+    return this.isSatisfied(schedule)
+  }
+
+  /**
+   * Incrementally check adding slots for one course to a valid partial schedule
+   * 
+   * The default re-checks the whole extended schedule; subclasses override
+   * this to only look at what the new slots change.
+   * @param {Schedule} schedule - Valid partial schedule without the course
+   * @param {string} courseName - The course being assigned
+   * @param {TimeSlot[]} slots - The slots assigned to the course
+   * @returns {boolean} true if the extended schedule can still lead to a solution
+   */
+  allowsAssignment(schedule, courseName, slots) {
+    return this.isSatisfied(schedule.assign(courseName, slots))
+  }
+
+  /**
+   * Check if the unassigned courses could still repair a partial schedule
+   * 
+   * Lets constraints whose violations later assignments may repair (and
+   * which therefore accept them in allowsAssignment) prune once no remaining
+   * slot can. Returning true never loses solutions, so only such constraints
+   * override this.
+   * @param {Schedule} schedule - Partial schedule
+   * @param {string[]} unassigned - Courses not assigned yet
+   * @param {Object} domains - Remaining candidate slots per course
+   * @returns {boolean} false if no extension of the schedule can satisfy the constraint
+   */
+  canStillComplete(schedule, unassigned, domains) {
+    return true
+  }
+
+  /**
+   * Check if a single slot of a not yet assigned course could still be added
+   * 
+   * Used for forward checking. Returning true never loses solutions, so only
+   * constraints that can rule out individual slots override this.
+   * @param {Schedule} schedule - Valid partial schedule
+   * @param {TimeSlot} slot - Candidate slot of an unassigned course
+   * @returns {boolean} false if the slot can be removed from the course's domain
+   */
+  canStillPlace(schedule, slot) {
+    return true
+  }
+
+  /**
+   * Get a structured description of this constraint
+   * @returns {{code: string, params: Object}} Message for formatMessage
+   */
+  getMessage() {
+    throw new Error('Constraint.getMessage must be implemented')
+  }
+
   /**
    * Get a human-readable description of this constraint
+   * @param {Object} [format] - Localisation hooks passed to formatMessage
    * @returns {string} Description
    */
-  getDescription() {
-    throw new Error('Constraint.getDescription must be implemented')
+  getDescription(format) {
+    const { code, params } = this.getMessage()
+    return formatMessage(code, params, format)
   }
 }
 
@@ -171,8 +479,185 @@ class MaxCoursesPerDayConstraint extends Constraint {
     return true
   }
 
-  getDescription() {
-    return `Maximum ${this.maxCourses} courses per day`
+  allowsAssignment(schedule, courseName, slots) {
+    const slotsByDay = schedule.getSlotsByDay()
+    const addedByDay = {}
+    for (const slot of slots) {
+      addedByDay[slot.day] = (addedByDay[slot.day] || 0) + 1
+      if ((slotsByDay[slot.day]?.length || 0) + addedByDay[slot.day] > this.maxCourses) {
+        return false
+      }
+    }
+    return true
+  }
+
+  canStillPlace(schedule, slot) {
+    return (schedule.getSlotsByDay()[slot.day]?.length || 0) < this.maxCourses
+  }
+
+  getMessage() {
+    return { code: 'Maximum {count} courses per day', params: { count: this.maxCourses } }
+  }
+}
+
+/**
+ * Constraint: Maximum course sessions per week
+ * 
+ * Every repetition of a course taken several times a week counts.
+ */
+class MaxCoursesPerWeekConstraint extends Constraint {
+  constructor(maxCourses) {
+    super()
+    this.maxCourses = maxCourses
+  }
+
+  isSatisfied(schedule) {
+    return schedule.getAllAssignedSlots().length <= this.maxCourses
+  }
+
+  allowsAssignment(schedule, courseName, slots) {
+    return schedule.getAllAssignedSlots().length + slots.length <= this.maxCourses
+  }
+
+  canStillPlace(schedule, slot) {
+    return schedule.getAllAssignedSlots().length < this.maxCourses
+  }
+
+  getMessage() {
+    return { code: 'At most {count} course(s) per week', params: { count: this.maxCourses } }
+  }
+}
+
+/**
+ * Constraint: Maximum hours of courses per week
+ * 
+ * Uses each slot's real duration; slots without an end time count as one
+ * course duration.
+ */
+class MaxHoursPerWeekConstraint extends Constraint {
+  constructor(maxHours, courseDurationMinutes = 70) {
+    super()
+    this.maxHours = maxHours
+    this.courseDurationMinutes = courseDurationMinutes
+  }
+
+  getMinutes(slots) {
+    return slots.reduce((sum, slot) => sum + (slot.end ?? slot.slot + this.courseDurationMinutes) - slot.slot, 0)
+  }
+
+  isSatisfied(schedule) {
+    return this.getMinutes(schedule.getAllAssignedSlots()) <= this.maxHours * 60
+  }
+
+  allowsAssignment(schedule, courseName, slots) {
+    return this.getMinutes([...schedule.getAllAssignedSlots(), ...slots]) <= this.maxHours * 60
+  }
+
+  canStillPlace(schedule, slot) {
+    return this.getMinutes([...schedule.getAllAssignedSlots(), slot]) <= this.maxHours * 60
+  }
+
+  getMessage() {
+    return { code: 'At most {hours} hour(s) of dancing per week', params: { hours: this.maxHours } }
+  }
+}
+
+/**
+ * Constraint: Maximum dance days per week
+ */
+class MaxDaysPerWeekConstraint extends Constraint {
+  constructor(maxDays) {
+    super()
+    this.maxDays = maxDays
+  }
+
+  isSatisfied(schedule) {
+    return Object.keys(schedule.getSlotsByDay()).length <= this.maxDays
+  }
+
+  allowsAssignment(schedule, courseName, slots) {
+    const days = new Set([...Object.keys(schedule.getSlotsByDay()), ...slots.map(slot => slot.day)])
+    return days.size <= this.maxDays
+  }
+
+  canStillPlace(schedule, slot) {
+    const days = Object.keys(schedule.getSlotsByDay())
+    return days.includes(slot.day) || days.length < this.maxDays
+  }
+
+  getMessage() {
+    return { code: 'At most {count} dance day(s) per week', params: { count: this.maxDays } }
+  }
+}
+
+/**
+ * Constraint: Maximum dance days in a row
+ * 
+ * Leaves recovery days between runs of dance days. Runs are counted around
+ * the week, so Sunday and the following Monday are consecutive.
+ */
+class MaxConsecutiveDaysConstraint extends Constraint {
+  constructor(maxDays) {
+    super()
+    this.maxDays = maxDays
+  }
+
+  isSatisfied(schedule) {
+    return longestDayRun(Object.keys(schedule.getSlotsByDay())) <= this.maxDays
+  }
+
+  allowsAssignment(schedule, courseName, slots) {
+    return longestDayRun([...Object.keys(schedule.getSlotsByDay()), ...slots.map(slot => slot.day)]) <= this.maxDays
+  }
+
+  canStillPlace(schedule, slot) {
+    return longestDayRun([...Object.keys(schedule.getSlotsByDay()), slot.day]) <= this.maxDays
+  }
+
+  getMessage() {
+    return { code: 'At most {count} dance day(s) in a row', params: { count: this.maxDays } }
+  }
+}
+
+/**
+ * Constraint: Maximum consecutive courses without a break
+ * 
+ * Courses count as consecutive when the next one starts less than
+ * minBreakMinutes after the previous one ends; after maxCourses of them a
+ * break of at least minBreakMinutes is required.
+ */
+class MaxConsecutiveCoursesConstraint extends Constraint {
+  constructor(maxCourses, minBreakMinutes = DEFAULT_MIN_BREAK_MINUTES, courseDurationMinutes = 70) {
+    super()
+    this.maxCourses = maxCourses
+    this.minBreakMinutes = minBreakMinutes
+    this.courseDurationMinutes = courseDurationMinutes
+  }
+
+  isRested(slots) {
+    return consecutiveRunLengths(slots, this.minBreakMinutes, this.courseDurationMinutes)
+      .every(run => run <= this.maxCourses)
+  }
+
+  isSatisfied(schedule) {
+    return this.isRested(schedule.getAllAssignedSlots())
+  }
+
+  // Only the days of the new slots can get longer runs
+  allowsAssignment(schedule, courseName, slots) {
+    const days = new Set(slots.map(slot => slot.day))
+    return this.isRested([...schedule.getAllAssignedSlots().filter(slot => days.has(slot.day)), ...slots])
+  }
+
+  canStillPlace(schedule, slot) {
+    return this.isRested([...schedule.getAllAssignedSlots().filter(other => other.day === slot.day), slot])
+  }
+
+  getMessage() {
+    return {
+      code: 'At most {count} course(s) in a row without a {minutes}-minute break',
+      params: { count: this.maxCourses, minutes: this.minBreakMinutes }
+    }
   }
 }
 
@@ -186,35 +671,59 @@ class MaxEmptySlotsBetweenCoursesConstraint extends Constraint {
     this.courseDurationMinutes = courseDurationMinutes
   }
 
-  isSatisfied(schedule) {
-    const slotsByDay = schedule.getSlotsByDay()
-    
-    for (const [day, daySlots] of Object.entries(slotsByDay)) {
-      if (daySlots.length < 2) continue
-      
+  // Gap based on start-to-start difference, quantized to configured slot duration
+  isTooLong(previousStart, nextStart) {
+    const gapSlots = Math.floor((nextStart - previousStart) / this.courseDurationMinutes)
+    return (gapSlots * this.courseDurationMinutes) / 60 > this.maxEmptySlots
+  }
+
+  // Gaps over the limit between neighbouring courses, as { day, previousStart, nextStart }
+  getTooLongGaps(schedule) {
+    const gaps = []
+    for (const [day, daySlots] of Object.entries(schedule.getSlotsByDay())) {
       const sortedSlots = daySlots.sort((a, b) => a.slot - b.slot)
       for (let i = 1; i < sortedSlots.length; i++) {
-        // Gap based on start-to-start difference, quantized to configured slot duration
-        const previousStart = sortedSlots[i-1].slot
-        const nextStart = sortedSlots[i].slot
-        const gapMinutes = nextStart - previousStart
-        const gapSlots = Math.floor(gapMinutes / this.courseDurationMinutes)
-        const gapHoursQuantized = (gapSlots * this.courseDurationMinutes) / 60
-        if (gapHoursQuantized > this.maxEmptySlots) {
-          return false
+        if (this.isTooLong(sortedSlots[i-1].slot, sortedSlots[i].slot)) {
+          gaps.push({ day, previousStart: sortedSlots[i-1].slot, nextStart: sortedSlots[i].slot })
         }
       }
     }
+    return gaps
+  }
+
+  isSatisfied(schedule) {
+    return this.getTooLongGaps(schedule).length === 0
+  }
+
+  // A course assigned later can still fill the gap, so gaps are checked in canStillComplete()
+  isPartialScheduleSatisfied(schedule) {
+    return true
+  }
+
+  allowsAssignment(schedule, courseName, slots) {
     return true
   }
 
-  getDescription() {
-    return `Maximum ${this.maxEmptySlots} hours gap between courses on same day (course duration: ${this.courseDurationMinutes}min)`
+  // Gaps nothing can start inside any more stay too long
+  canStillComplete(schedule, unassigned, domains) {
+    return this.getTooLongGaps(schedule).every(({ day, previousStart, nextStart }) =>
+      unassigned.some(courseName => domains[courseName].some(slot =>
+        slot.day === day && slot.slot > previousStart && slot.slot < nextStart)))
+  }
+
+  getMessage() {
+    return {
+      code: 'Maximum {hours} hours gap between courses on same day (course duration: {minutes}min)',
+      params: { hours: this.maxEmptySlots, minutes: this.courseDurationMinutes }
+    }
   }
 }
 
 /**
  * Constraint: No overlapping time slots
+ * 
+ * Two slots conflict when their [start, end) intervals intersect on the same day,
+ * so courses of different lengths are checked against their real end times.
  */
 class NoOverlappingSlotsConstraint extends Constraint {
   isSatisfied(schedule) {
@@ -222,7 +731,22 @@ class NoOverlappingSlotsConstraint extends Constraint {
     
     for (let i = 0; i < allSlots.length; i++) {
       for (let j = i + 1; j < allSlots.length; j++) {
-        if (allSlots[i].equals(allSlots[j])) {
+        if (allSlots[i].overlaps(allSlots[j])) {
+          return false
+        }
+      }
+    }
+    return true
+  }
+
+  allowsAssignment(schedule, courseName, slots) {
+    const assignedSlots = schedule.getAllAssignedSlots()
+    for (let i = 0; i < slots.length; i++) {
+      if (assignedSlots.some(other => other.overlaps(slots[i]))) {
+        return false
+      }
+      for (let j = i + 1; j < slots.length; j++) {
+        if (slots[i].overlaps(slots[j])) {
           return false
         }
       }
@@ -230,45 +754,223 @@ class NoOverlappingSlotsConstraint extends Constraint {
     return true
   }
 
-  getDescription() {
-    return 'No overlapping time slots'
+  canStillPlace(schedule, slot) {
+    return !schedule.getAllAssignedSlots().some(other => other.overlaps(slot))
+  }
+
+  getMessage() {
+    return { code: 'No overlapping time slots', params: {} }
   }
 }
 
 /**
- * Constraint: Course multiplicity requirements
+ * Constraint: Courses must lie within a daily time window
+ * 
+ * Courses must start no earlier than the earliest time and end no later than
+ * the latest time. Either bound can be null to leave that side open.
  */
-class CourseMultiplicityConstraint extends Constraint {
-  constructor(multiplicityMap) {
+class TimeWindowConstraint extends Constraint {
+  constructor(earliestStart = null, latestEnd = null, courseDurationMinutes = 70) {
     super()
-    this.multiplicityMap = multiplicityMap || {}
+    this.earliestStart = earliestStart // minutes from midnight
+    this.latestEnd = latestEnd // minutes from midnight
+    this.courseDurationMinutes = courseDurationMinutes
   }
 
-  isSatisfied(schedule) {
-    // Enforce exact multiplicity for assigned courses
-    for (const [courseName, slots] of Object.entries(schedule.assignments)) {
-      if (courseName in this.multiplicityMap) {
-        const requiredCount = this.multiplicityMap[courseName]
-        const actualCount = slots.length
-        if (actualCount !== requiredCount) {
-          return false
-        }
-      } else {
-        // Courses not in multiplicity map must appear exactly once
-        if (slots.length !== 1) {
-          return false
-        }
-      }
-    }
-    
+  allowsSlot(slot) {
+    if (this.earliestStart !== null && slot.slot < this.earliestStart) return false
+    if (this.latestEnd !== null && slot.getEnd(this.courseDurationMinutes) > this.latestEnd) return false
     return true
   }
 
-  // New method to check complete schedules
-  isCompleteScheduleSatisfied(schedule, allCourseNames) {
-    // Check that each course in the problem set appears the required number of times
-    for (const [courseName, requiredCount] of Object.entries(this.multiplicityMap)) {
-      if (!allCourseNames.includes(courseName)) continue // ignore multiplicity for courses not in this problem
+  isSatisfied(schedule) {
+    return schedule.getAllAssignedSlots().every(slot => this.allowsSlot(slot))
+  }
+
+  allowsAssignment(schedule, courseName, slots) {
+    return slots.every(slot => this.allowsSlot(slot))
+  }
+
+  canStillPlace(schedule, slot) {
+    return this.allowsSlot(slot)
+  }
+
+  getMessage() {
+    const params = {}
+    if (this.earliestStart !== null) params.start = TimeSlot.formatTime(this.earliestStart)
+    if (this.latestEnd !== null) params.end = TimeSlot.formatTime(this.latestEnd)
+    if (params.start && params.end) return { code: 'Courses starting at {start} or later and ending by {end}', params }
+    if (params.start) return { code: 'Courses starting at {start} or later', params }
+    return { code: 'Courses ending by {end}', params }
+  }
+}
+
+/**
+ * Constraint: Courses only on allowed days and never on blocked days
+ */
+class DayAvailabilityConstraint extends Constraint {
+  constructor(allowedDays = null, blockedDays = []) {
+    super()
+    this.allowedDays = allowedDays // null means every day is allowed
+    this.blockedDays = blockedDays
+  }
+
+  allowsSlot(slot) {
+    if (this.allowedDays && !this.allowedDays.includes(slot.day)) return false
+    return !this.blockedDays.includes(slot.day)
+  }
+
+  isSatisfied(schedule) {
+    return schedule.getAllAssignedSlots().every(slot => this.allowsSlot(slot))
+  }
+
+  allowsAssignment(schedule, courseName, slots) {
+    return slots.every(slot => this.allowsSlot(slot))
+  }
+
+  canStillPlace(schedule, slot) {
+    return this.allowsSlot(slot)
+  }
+
+  getMessage() {
+    const params = { days: this.allowedDays, blockedDays: this.blockedDays }
+    if (this.allowedDays && this.blockedDays.length > 0) {
+      return { code: 'Courses only on {days}; no courses on {blockedDays}', params }
+    }
+    if (this.allowedDays) return { code: 'Courses only on {days}', params }
+    return { code: 'No courses on {blockedDays}', params }
+  }
+}
+
+/**
+ * Constraint: Only whitelisted start times per day
+ * 
+ * Days missing from the map are unrestricted, while an empty list blocks
+ * every start time on that day.
+ */
+class PerDayTimeSlotsConstraint extends Constraint {
+  constructor(allowedSlotsByDay) {
+    super()
+    this.allowedSlotsByDay = allowedSlotsByDay || {} // day -> allowed start minutes
+  }
+
+  allowsSlot(slot) {
+    const allowedSlots = this.allowedSlotsByDay[slot.day]
+    return !allowedSlots || allowedSlots.includes(slot.slot)
+  }
+
+  isSatisfied(schedule) {
+    return schedule.getAllAssignedSlots().every(slot => this.allowsSlot(slot))
+  }
+
+  allowsAssignment(schedule, courseName, slots) {
+    return slots.every(slot => this.allowsSlot(slot))
+  }
+
+  canStillPlace(schedule, slot) {
+    return this.allowsSlot(slot)
+  }
+
+  getMessage() {
+    const days = Object.entries(this.allowedSlotsByDay).map(([day, slots]) => slots.length > 0
+      ? { code: '{times} on {day}', params: { day, times: slots.map(slot => TimeSlot.formatTime(slot)) } }
+      : { code: 'nothing on {day}', params: { day } })
+    return { code: 'Allowed start times: {rules}', params: { rules: days } }
+  }
+}
+
+/**
+ * Constraint: The same course at most once per day
+ * 
+ * Only affects courses taken several times a week, whose sessions
+ * would otherwise be allowed to land on the same evening.
+ */
+class NoSameCourseTwicePerDayConstraint extends Constraint {
+  isSatisfied(schedule) {
+    for (const slots of Object.values(schedule.assignments)) {
+      const days = new Set(slots.map(slot => slot.day))
+      if (days.size < slots.length) {
+        return false
+      }
+    }
+    return true
+  }
+
+  allowsAssignment(schedule, courseName, slots) {
+    const allSlots = [...(schedule.assignments[courseName] || []), ...slots]
+    return new Set(allSlots.map(slot => slot.day)).size === allSlots.length
+  }
+
+  getMessage() {
+    return { code: 'Same course at most once per day', params: {} }
+  }
+}
+
+/**
+ * Constraint: Minimum days between repetitions of a course
+ * 
+ * Sessions of a course taken several times a week must be at least minDays
+ * apart, counted around the week since the schedule repeats weekly (Monday
+ * to Thursday is 3 days, Saturday to Monday 2).
+ */
+class MinDaysBetweenRepetitionsConstraint extends Constraint {
+  constructor(minDays) {
+    super()
+    this.minDays = minDays
+  }
+
+  isSpacedOut(slots) {
+    return slots.every((slot, index) =>
+      slots.slice(index + 1).every(other => daysApart(slot.day, other.day) >= this.minDays))
+  }
+
+  isSatisfied(schedule) {
+    return Object.values(schedule.assignments).every(slots => this.isSpacedOut(slots))
+  }
+
+  allowsAssignment(schedule, courseName, slots) {
+    return this.isSpacedOut([...(schedule.assignments[courseName] || []), ...slots])
+  }
+
+  getMessage() {
+    return { code: 'Repetitions at least {count} day(s) apart', params: { count: this.minDays } }
+  }
+}
+
+/**
+ * Constraint: Course multiplicity requirements
+ */
+class CourseMultiplicityConstraint extends Constraint {
+  constructor(multiplicityMap) {
+    super()
+    this.multiplicityMap = multiplicityMap || {}
+  }
+
+  isSatisfied(schedule) {
+    // Enforce exact multiplicity for assigned courses
+    for (const [courseName, slots] of Object.entries(schedule.assignments)) {
+      if (courseName in this.multiplicityMap) {
+        const requiredCount = this.multiplicityMap[courseName]
+        const actualCount = slots.length
+        if (actualCount !== requiredCount) {
+          return false
+        }
+      } else {
+        // Courses not in multiplicity map must appear exactly once
+        if (slots.length !== 1) {
+          return false
+        }
+      }
+    }
+    
+    return true
+  }
+
+  // New method to check complete schedules
+  isCompleteScheduleSatisfied(schedule, allCourseNames) {
+    // Check that each course in the problem set appears the required number of times
+    for (const [courseName, requiredCount] of Object.entries(this.multiplicityMap)) {
+      if (!allCourseNames.includes(courseName)) continue // ignore multiplicity for courses not in this problem
       const actualCount = (schedule.assignments[courseName] || []).length
       if (actualCount !== requiredCount) {
         return false
@@ -294,12 +996,385 @@ class CourseMultiplicityConstraint extends Constraint {
     return true
   }
 
-  getDescription() {
-    const descriptions = []
-    for (const [courseName, count] of Object.entries(this.multiplicityMap)) {
-      descriptions.push(`${courseName}: ${count} times`)
+  allowsAssignment(schedule, courseName, slots) {
+    const requiredCount = courseName in this.multiplicityMap ? this.multiplicityMap[courseName] : 1
+    return slots.length === requiredCount
+  }
+
+  getMessage() {
+    const courses = Object.entries(this.multiplicityMap)
+      .map(([course, count]) => ({ code: '{course}: {count} times', params: { course, count } }))
+    return { code: 'Course multiplicity: {courses}', params: { courses } }
+  }
+}
+
+/**
+ * Constraint: Locked assignments
+ *
+ * Pins courses to fixed slots (e.g. ones already registered for). A course
+ * with locked slots is only assigned slot combinations containing all of
+ * them; its remaining sessions, and every other course, are planned around.
+ */
+class LockedAssignmentsConstraint extends Constraint {
+  constructor(lockedAssignments) {
+    super()
+    this.lockedAssignments = lockedAssignments || {} // courseName -> [{ day, slot }]
+  }
+
+  isSatisfied(schedule) {
+    return Object.entries(schedule.assignments)
+      .every(([courseName, slots]) => this.allowsAssignment(schedule, courseName, slots))
+  }
+
+  allowsAssignment(schedule, courseName, slots) {
+    const locked = this.lockedAssignments[courseName] || []
+    return locked.every(lockedSlot => slots.some(slot => slot.day === lockedSlot.day && slot.slot === lockedSlot.slot))
+  }
+
+  getMessage() {
+    const courses = Object.entries(this.lockedAssignments)
+      .filter(([, slots]) => slots.length > 0)
+      .map(([course, slots]) => ({
+        code: '{course} at {times}',
+        params: { course, times: slots.map(slot => ({ code: '{day} {time}', params: { day: slot.day, time: TimeSlot.formatTime(slot.slot) } })) }
+      }))
+    return { code: 'Kept courses: {courses}', params: { courses } }
+  }
+}
+
+/**
+ * Constraint: Choose K of N courses
+ *
+ * Each group lists courses of which exactly `count` are scheduled; the
+ * solver decides which ones. Members left out are dropped like optional
+ * courses, and at most `count` members are ever assigned.
+ */
+class CourseGroupConstraint extends Constraint {
+  constructor(groups) {
+    super()
+    this.groups = groups || [] // [{ courses: [courseName], count }]
+  }
+
+  countScheduled(schedule, group) {
+    return group.courses.filter(courseName => courseName in schedule.assignments).length
+  }
+
+  isSatisfied(schedule) {
+    return this.groups.every(group => this.countScheduled(schedule, group) <= group.count)
+  }
+
+  isCompleteScheduleSatisfied(schedule) {
+    return this.groups.every(group => this.countScheduled(schedule, group) === group.count)
+  }
+
+  allowsAssignment(schedule, courseName, slots) {
+    return this.groups.every(group => !group.courses.includes(courseName) || this.countScheduled(schedule, group) < group.count)
+  }
+
+  getMessage() {
+    const groups = this.groups.map(group => ({
+      code: 'any {count} of {courses}',
+      params: { count: group.count, courses: group.courses }
+    }))
+    return { code: 'Course groups: {groups}', params: { groups } }
+  }
+}
+
+/**
+ * Constraint: Links between pairs of courses
+ *
+ * Each relation ties every session of its first course to the second one:
+ * - sameDay: on a day the second course is on too
+ * - differentDay: never on a day of the second course
+ * - consecutive: the second course starts right after it ends (within a
+ *   short break) on the same day
+ * - before: ends before any session of the second course starts, Monday
+ *   to Sunday
+ * Relations are checked once both courses are assigned; a dropped course
+ * leaves its relations without effect.
+ */
+class CourseRelationConstraint extends Constraint {
+  constructor(relations, courseDurationMinutes = 70) {
+    super()
+    this.relations = relations || [] // [{ first, second, type }]
+    this.courseDurationMinutes = courseDurationMinutes
+  }
+
+  getEnd(slot) {
+    return slot.end ?? slot.slot + this.courseDurationMinutes
+  }
+
+  holds(relation, firstSlots, secondSlots) {
+    const weekTime = (day, minutes) => WEEK_DAYS.indexOf(day) * 24 * 60 + minutes
+    switch (relation.type) {
+      case 'sameDay':
+        return firstSlots.every(first => secondSlots.some(second => second.day === first.day))
+      case 'differentDay':
+        return firstSlots.every(first => secondSlots.every(second => second.day !== first.day))
+      case 'consecutive':
+        return firstSlots.every(first => secondSlots.some(second => second.day === first.day &&
+          second.slot >= this.getEnd(first) && second.slot - this.getEnd(first) <= CONSECUTIVE_BREAK_MINUTES))
+      case 'before':
+        return firstSlots.every(first => secondSlots.every(second =>
+          weekTime(first.day, this.getEnd(first)) <= weekTime(second.day, second.slot)))
+      default:
+        return true
+    }
+  }
+
+  isSatisfied(schedule) {
+    return this.relations.every(relation => !(relation.first in schedule.assignments) ||
+      !(relation.second in schedule.assignments) ||
+      this.holds(relation, schedule.assignments[relation.first], schedule.assignments[relation.second]))
+  }
+
+  allowsAssignment(schedule, courseName, slots) {
+    return this.relations.every(relation => {
+      if (relation.first === courseName && relation.second in schedule.assignments) {
+        return this.holds(relation, slots, schedule.assignments[relation.second])
+      }
+      if (relation.second === courseName && relation.first in schedule.assignments) {
+        return this.holds(relation, schedule.assignments[relation.first], slots)
+      }
+      return true
+    })
+  }
+
+  getMessage() {
+    const relations = this.relations.map(({ first, second, type }) => ({
+      code: COURSE_RELATION_CODES[type],
+      params: { first, second }
+    }))
+    return { code: 'Course links: {relations}', params: { relations } }
+  }
+}
+
+/**
+ * Soft constraint interface - weighted preferences that rank schedules
+ * instead of rejecting them
+ */
+class SoftConstraint {
+  /**
+   * @param {string} name - Key of this preference in the penalty breakdown
+   * @param {number} weight - Multiplier applied to the penalty
+   */
+  constructor(name, weight = 1) {
+    this.name = name
+    this.weight = weight
+  }
+
+  /**
+   * Measure how far a schedule is from this preference
+   * @param {Schedule} schedule - The schedule to rate
+   * @param {number} courseDurationMinutes - Duration assumed for slots without an end time
+   * @returns {number} Unweighted penalty (0 = preference fully met)
+   */
+  getPenalty(schedule, courseDurationMinutes) {
+    throw new Error('SoftConstraint.getPenalty must be implemented')
+  }
+
+  /**
+   * Lowest penalty any completion of a partial schedule can reach
+   *
+   * Used by branch-and-bound search to prune. The default of 0 is always safe;
+   * preferences whose penalty never drops when courses are added can return
+   * the current penalty instead.
+   *
+   * @param {Schedule} schedule - The partial schedule
+   * @param {number} courseDurationMinutes - Duration assumed for slots without an end time
+   * @returns {number} Lower bound on the unweighted penalty
+   */
+  getPenaltyLowerBound(schedule, courseDurationMinutes) {
+    return 0
+  }
+
+  /**
+   * Get a structured description of this preference
+   * @returns {{code: string, params: Object}} Message for formatMessage
+   */
+  getMessage() {
+    throw new Error('SoftConstraint.getMessage must be implemented')
+  }
+
+  /**
+   * Get human-readable description of this preference
+   * @param {Object} [format] - Localisation hooks passed to formatMessage
+   * @returns {string}
+   */
+  getDescription(format) {
+    const { code, params } = this.getMessage()
+    return formatMessage(code, params, format)
+  }
+}
+
+/**
+ * Prefer schedules spread over fewer days (penalty: number of days used)
+ */
+class FewerDaysPreference extends SoftConstraint {
+  constructor(weight = 1) {
+    super('fewerDays', weight)
+  }
+
+  getPenalty(schedule) {
+    return Object.keys(schedule.getSlotsByDay()).length
+  }
+
+  // Adding courses never lowers this penalty
+  getPenaltyLowerBound(schedule, courseDurationMinutes) {
+    return this.getPenalty(schedule, courseDurationMinutes)
+  }
+
+  getMessage() {
+    return { code: 'Prefer fewer days (weight {weight})', params: { weight: this.weight } }
+  }
+}
+
+/**
+ * Prefer finishing early (penalty: hours past the reference time, summed over days)
+ */
+class EndEarlyPreference extends SoftConstraint {
+  constructor(weight = 1, referenceEnd = 18 * 60) {
+    super('endEarly', weight)
+    this.referenceEnd = referenceEnd // minutes from midnight
+  }
+
+  getPenalty(schedule, courseDurationMinutes = 70) {
+    let minutesLate = 0
+    for (const daySlots of Object.values(schedule.getSlotsByDay())) {
+      const dayEnd = Math.max(...daySlots.map(slot => slot.end ?? slot.slot + courseDurationMinutes))
+      minutesLate += Math.max(0, dayEnd - this.referenceEnd)
+    }
+    return minutesLate / 60
+  }
+
+  // Adding courses never lowers this penalty
+  getPenaltyLowerBound(schedule, courseDurationMinutes) {
+    return this.getPenalty(schedule, courseDurationMinutes)
+  }
+
+  getMessage() {
+    return {
+      code: 'Prefer ending before {time} (weight {weight})',
+      params: { time: TimeSlot.formatTime(this.referenceEnd), weight: this.weight }
+    }
+  }
+}
+
+/**
+ * Prefer back-to-back courses (penalty: total idle hours between courses on the same day)
+ */
+class NoGapsPreference extends SoftConstraint {
+  constructor(weight = 1) {
+    super('noGaps', weight)
+  }
+
+  getPenalty(schedule, courseDurationMinutes = 70) {
+    let idleMinutes = 0
+    for (const daySlots of Object.values(schedule.getSlotsByDay())) {
+      const sortedSlots = [...daySlots].sort((a, b) => a.slot - b.slot)
+      let previousEnd = null
+      for (const slot of sortedSlots) {
+        if (previousEnd !== null) {
+          idleMinutes += Math.max(0, slot.slot - previousEnd)
+        }
+        const slotEnd = slot.end ?? slot.slot + courseDurationMinutes
+        previousEnd = previousEnd === null ? slotEnd : Math.max(previousEnd, slotEnd)
+      }
+    }
+    return idleMinutes / 60
+  }
+
+  getMessage() {
+    return { code: 'Prefer no gaps between courses (weight {weight})', params: { weight: this.weight } }
+  }
+}
+
+/**
+ * Prefer courses taught by given teachers (penalty: sessions with other teachers)
+ */
+class PreferredTeachersPreference extends SoftConstraint {
+  constructor(weight = 1, teachers = []) {
+    super('preferredTeachers', weight)
+    this.teachers = teachers
+  }
+
+  getPenalty(schedule) {
+    if (this.teachers.length === 0) return 0
+    return schedule.getAllAssignedSlots()
+      .filter(slot => !this.teachers.includes(slot.teacher))
+      .length
+  }
+
+  // Adding courses never lowers this penalty
+  getPenaltyLowerBound(schedule, courseDurationMinutes) {
+    return this.getPenalty(schedule, courseDurationMinutes)
+  }
+
+  getMessage() {
+    return { code: 'Prefer teachers {teachers} (weight {weight})', params: { teachers: this.teachers, weight: this.weight } }
+  }
+}
+
+/**
+ * Prefer repetitions spread evenly over the week (penalty: days by which the
+ * gaps between a course's sessions fall short of an even spread)
+ */
+class SpreadEvenlyPreference extends SoftConstraint {
+  constructor(weight = 1) {
+    super('spreadEvenly', weight)
+  }
+
+  getPenalty(schedule) {
+    let shortfall = 0
+    for (const slots of Object.values(schedule.assignments)) {
+      if (slots.length < 2) continue
+      const days = slots.map(slot => WEEK_DAYS.indexOf(slot.day)).sort((a, b) => a - b)
+      const evenGap = WEEK_DAYS.length / days.length
+      days.forEach((day, index) => {
+        // The last session's gap wraps around to the first one of next week
+        const nextDay = index + 1 < days.length ? days[index + 1] : days[0] + WEEK_DAYS.length
+        shortfall += Math.max(0, evenGap - (nextDay - day))
+      })
+    }
+    return shortfall
+  }
+
+  // Courses get all their sessions at once, so adding courses never lowers this penalty
+  getPenaltyLowerBound(schedule, courseDurationMinutes) {
+    return this.getPenalty(schedule, courseDurationMinutes)
+  }
+
+  getMessage() {
+    return { code: 'Prefer repetitions spread evenly (weight {weight})', params: { weight: this.weight } }
+  }
+}
+
+/**
+ * Prefer breaks after consecutive courses (penalty: courses beyond maxCourses
+ * in each run without a break of at least minBreakMinutes)
+ */
+class RestBreaksPreference extends SoftConstraint {
+  constructor(weight = 1, maxCourses = 1, minBreakMinutes = DEFAULT_MIN_BREAK_MINUTES) {
+    super('restBreaks', weight)
+    this.maxCourses = maxCourses
+    this.minBreakMinutes = minBreakMinutes
+  }
+
+  getPenalty(schedule, courseDurationMinutes = 70) {
+    return consecutiveRunLengths(schedule.getAllAssignedSlots(), this.minBreakMinutes, courseDurationMinutes)
+      .reduce((sum, run) => sum + Math.max(0, run - this.maxCourses), 0)
+  }
+
+  // Added courses only lengthen or join runs, so the penalty never drops
+  getPenaltyLowerBound(schedule, courseDurationMinutes) {
+    return this.getPenalty(schedule, courseDurationMinutes)
+  }
+
+  getMessage() {
+    return {
+      code: 'Prefer a {minutes}-minute break after {count} course(s) in a row (weight {weight})',
+      params: { minutes: this.minBreakMinutes, count: this.maxCourses, weight: this.weight }
     }
-    return `Course multiplicity: ${descriptions.join(', ')}`
   }
 }
 
@@ -317,19 +1392,54 @@ class CourseMultiplicityConstraint extends Constraint {
  * - Provides detailed failure analysis when no solution exists
  * 
  * Constraint Types:
- * - NoOverlappingSlotsConstraint: Prevents time slot conflicts
+ * - NoOverlappingSlotsConstraint: Prevents time slot conflicts (unless overlaps are allowed)
+ * - NoSameCourseTwicePerDayConstraint: Spreads repeated courses over different days
+ * - MinDaysBetweenRepetitionsConstraint: Keeps repetitions of a course some days apart
  * - MaxCoursesPerDayConstraint: Limits courses per day
+ * - MaxCoursesPerWeekConstraint: Limits course sessions per week
+ * - MaxHoursPerWeekConstraint: Limits hours of courses per week
+ * - MaxDaysPerWeekConstraint: Limits the number of dance days
+ * - MaxConsecutiveDaysConstraint: Limits dance days in a row, leaving recovery days
+ * - MaxConsecutiveCoursesConstraint: Requires a break after a number of back-to-back courses
  * - MaxEmptySlotsBetweenCoursesConstraint: Controls gaps between courses
  * - CourseMultiplicityConstraint: Requires specific course frequencies
+ * - TimeWindowConstraint: Keeps courses between an earliest start and latest end
+ * - DayAvailabilityConstraint: Restricts courses to allowed, non-blocked days
+ * - PerDayTimeSlotsConstraint: Restricts each day to whitelisted start times
+ * - LockedAssignmentsConstraint: Keeps pinned courses at their fixed slots
+ * - CourseGroupConstraint: Schedules exactly K courses of each group
+ * - CourseRelationConstraint: Links pairs of courses (same day, different day, consecutive, before)
+ *
+ * Soft Constraints (ranking only, enabled by a non-zero weight in input.preferenceWeights):
+ * - FewerDaysPreference: Penalizes each day used
+ * - EndEarlyPreference: Penalizes hours spent after 18:00
+ * - NoGapsPreference: Penalizes idle hours between courses
+ * - PreferredTeachersPreference: Penalizes sessions not taught by a preferred teacher
+ * - SpreadEvenlyPreference: Penalizes repetitions closer together than an even spread
+ * - RestBreaksPreference: Penalizes back-to-back courses beyond the break rule
  * 
  * Search Algorithm:
  * 1. Parse input into Course objects with available time slots
  * 2. Add implicit constraints based on input parameters
- * 3. Use backtracking to assign slots to each course sequentially
- * 4. At each step, check partial assignment against all constraints
- * 5. Backtrack when constraints are violated, continue when satisfied
+ * 3. Use backtracking to assign slots to one course at a time, picking the
+ *    course with the fewest remaining slot combinations first (MRV)
+ * 4. At each step, check only what the new slots change (incremental checks)
+ * 5. Forward checking: drop slots of unassigned courses that can no longer be
+ *    placed, and backtrack as soon as a course runs out of slots
  * 6. Return first solution found, or enumerate all solutions up to a limit
  * 
+ * Passing { searchHeuristics: false } to the constructor disables steps 3-5
+ * and falls back to plain backtracking in input order (useful for benchmarks).
+ * 
+ * findBestSolutions() instead runs a branch-and-bound search that keeps the
+ * K highest-scoring schedules and prunes branches by an upper score bound.
+ * 
+ * Courses listed in input.optionalCourses may be left out: each of them gets
+ * an extra branch that drops it, and solutions fitting more optional course
+ * value rank before better-scoring ones (see compareSolutions()). Members of
+ * input.courseGroups are dropped the same way until each group is left with
+ * its required number of courses.
+ * 
  * @example
  * ```js
  * const solver = new DeclarativeConstraintSolver()
@@ -353,10 +1463,27 @@ class CourseMultiplicityConstraint extends Constraint {
  * ```
  */
 export class DeclarativeConstraintSolver {
+  /**
+   * @param {Object} [options] - Solver options
+   * @param {number} [options.courseDurationMinutes=70] - Course duration for gap calculations
+   * @param {boolean} [options.searchHeuristics=true] - Use forward checking, most-constrained-course-first
+   *   ordering and incremental constraint checks (false = plain chronological backtracking)
+   * @param {Function} [options.onProgress] - Called every progressInterval search nodes
+   *   with { nodesExplored, solutionsFound } of the running search
+   * @param {number} [options.progressInterval=1000] - Search nodes between progress reports
+   */
   constructor(options = {}) {
     this.constraints = []
+    this.softConstraints = []
+    this.optionalCourses = {} // courseName -> value of fitting it
+    this.courseGroups = [] // [{ courses, count }] of which exactly count courses are scheduled
+    this.droppableCourses = new Set() // Optional courses and unpinned course group members
     this.debugMode = false
     this.courseDurationMinutes = options.courseDurationMinutes || 70 // Default: 60min class + 10min break
+    this.searchHeuristics = options.searchHeuristics !== false
+    this.searchStats = { nodesExplored: 0, solutionsFound: 0, durationMs: 0 }
+    this.onProgress = options.onProgress || null
+    this.progressInterval = options.progressInterval || 1000
   }
 
   /**
@@ -375,6 +1502,17 @@ export class DeclarativeConstraintSolver {
     this.courseDurationMinutes = durationMinutes
   }
 
+  /**
+   * Get statistics of the most recent search
+   * @returns {Object} Search statistics
+   * @returns {number} returns.nodesExplored - Search nodes visited
+   * @returns {number} returns.solutionsFound - Complete valid schedules reached
+   * @returns {number} returns.durationMs - Time spent searching in milliseconds
+   */
+  getSearchStats() {
+    return { ...this.searchStats }
+  }
+
   /**
    * Add a constraint to the solver
    * @param {Constraint} constraint 
@@ -395,12 +1533,40 @@ export class DeclarativeConstraintSolver {
    * 
    * @param {Object} input - The input specification
    * @param {Object} input.selectedCourses - Map of course names to available time slots
+   *   ({ day, slot, end? } with slot/end in minutes from midnight)
    * @param {number} [input.maxCoursesPerDay] - Maximum courses allowed per day
+   * @param {number} [input.maxCoursesPerWeek] - Maximum course sessions per week, counting every
+   *   repetition (0 or missing = no limit)
+   * @param {number} [input.maxHoursPerWeek] - Maximum hours of courses per week, from the slots' real
+   *   durations (0 or missing = no limit)
+   * @param {number} [input.maxDaysPerWeek] - Maximum distinct days with courses (0 or missing = no limit)
+   * @param {number} [input.maxConsecutiveDays] - Maximum days with courses in a row, counted around
+   *   the week (0 or missing = no limit)
+   * @param {number} [input.maxConsecutiveCourses] - Courses in a row after which a break is required
+   *   (0 or missing = no rule); with a restBreaks preference weight the rule only ranks schedules
+   * @param {number} [input.minBreakMinutes=30] - Shortest pause that counts as a break
    * @param {number} [input.maxEmptySlotsBetweenCourses] - Maximum hours between courses on same day
    * @param {number} [input.minEmptySlotsBetweenCourses] - Minimum hours between courses on same day
    * @param {Object} [input.courseMultiplicity] - Required occurrences per course
-   * @param {Array} [input.selectedDays] - Days of week to consider (not implemented)
-   * @param {Object} [input.timeRange] - Time range constraints (not implemented)
+   * @param {boolean} [input.preventOverlaps=true] - Whether overlapping courses are rejected
+   * @param {boolean} [input.noDuplicateCoursesPerDay=false] - Whether a course may only occur once per day
+   * @param {number} [input.minDaysBetweenRepetitions] - Minimum days between sessions of the same course,
+   *   counted around the week (0 or missing = no spacing)
+   * @param {Array} [input.allowedDays] - Day codes courses may be scheduled on
+   * @param {Array} [input.blockedDays] - Day codes courses must not be scheduled on
+   * @param {Object} [input.timeRange] - Daily time window ({ start: 'HH:MM', end: 'HH:MM' }, either optional)
+   * @param {Object} [input.perDayTimeSlots] - Allowed start minutes per day code (missing days are unrestricted)
+   * @param {Object} [input.lockedAssignments] - Slots ({ day, slot }) each course must be scheduled at;
+   *   its other sessions and all other courses are planned around them
+   * @param {Object} [input.optionalCourses] - Value per nice-to-have course; these may be dropped, and
+   *   solutions fit as much value as possible (courses with locked slots are never dropped)
+   * @param {Array} [input.courseGroups] - Choose-k-of-n groups ({ courses: [courseName], count }); exactly
+   *   count of each group's selected courses are scheduled, and the solver picks which
+   * @param {Array} [input.courseRelations] - Links between two courses ({ first, second, type }, type one of
+   *   'sameDay', 'differentDay', 'consecutive' or 'before'), applied to every session of the first course
+   * @param {Object} [input.preferenceWeights] - Soft preference weights
+   *   ({ fewerDays, endEarly, noGaps, preferredTeachers, spreadEvenly, restBreaks }, 0 or missing disables a preference)
+   * @param {Array} [input.preferredTeachers] - Teacher names for the preferredTeachers preference
    * @param {Array} [input.pairOnlyFilters] - Courses requiring pairs (not implemented)
    * @param {boolean} [input.hasPair] - Whether user has a dance partner (not implemented)
    * 
@@ -410,8 +1576,12 @@ export class DeclarativeConstraintSolver {
    * @returns {number} [returns.maxGapBetweenCourses] - Longest gap between courses (hours)
    * @returns {number} [returns.coursesOnBusiestDay] - Most courses scheduled on any day
    * @returns {number} [returns.score] - Quality score (higher = better)
+   * @returns {Object} [returns.penalties] - Unweighted penalty per preference (only with preferenceWeights)
+   * @returns {number} [returns.weightedPenalty] - Weighted penalty total (only with preferenceWeights)
    * @returns {Object} [returns.schedule] - Map of course names to assigned time slots
    * @returns {string} [returns.reason] - Reason for failure (if success = false)
+   * @returns {number} [returns.optionalValue] - Value of the optional courses fitted (only with optionalCourses)
+   * @returns {Array} [returns.droppedCourses] - Optional courses left out (only with optionalCourses)
    * @returns {Object} [returns.details] - Detailed failure analysis (if success = false)
    * @returns {Array} [returns.constraints] - List of active constraints (if success = false)
    */
@@ -432,11 +1602,13 @@ export class DeclarativeConstraintSolver {
     }
 
     // Use backtracking to find a solution
-    const solution = this._backtrack(courses, courseNames, 0, new Schedule())
+    const searchStart = now()
+    const solution = this._backtrack(this._createRootNode(courses, courseNames), courseNames)
+    this.searchStats.durationMs = now() - searchStart
     
     if (solution) {
       // Final verification: ensure the solution fully satisfies all constraints
-      const isValid = this._isValidSchedule(solution, courseNames)
+      const isValid = this._isValidSchedule(solution, this._plannedCourseNames(solution, courseNames))
       if (!isValid) {
         if (this.debugMode) {
           console.warn('[DeclarativeSolver] Discarding invalid solution after verification')
@@ -450,7 +1622,7 @@ export class DeclarativeConstraintSolver {
         }
       }
 
-      const stats = solution.computeStats(this.courseDurationMinutes)
+      const stats = this._computeStats(solution, courseNames)
       if (this.debugMode) {
         console.log('[DeclarativeSolver] Found solution:', stats)
       }
@@ -473,53 +1645,296 @@ export class DeclarativeConstraintSolver {
   }
 
   /**
-   * Find all possible solutions (up to a limit)
+   * Find all possible solutions (up to a limit)
+   * 
+   * Exhaustively searches for all valid schedules that satisfy the constraints.
+   * Collects the first maxSolutions schedules from iterateSolutions() and
+   * sorts them by quality score.
+   * 
+   * Performance Note: The search space grows exponentially with the number of
+   * courses and available slots. Use maxSolutions parameter to limit runtime.
+   * 
+   * @param {Object} input - The input specification (same format as solve())
+   * @param {number} [maxSolutions=10] - Maximum number of solutions to find
+   * @param {Object} [options] - Search options
+   * @param {Iterator} [options.solutions] - iterateSolutions(input) iterator to take the solutions from.
+   *   It is left open, so the caller can resume it for further solutions
+   * 
+   * @returns {Object} Results object with success status and solutions
+   * @returns {boolean} returns.success - Whether any solutions were found
+   * @returns {Array} returns.schedules - Array of solution objects, sorted by compareSolutions()
+   * @returns {number} returns.schedules[].days - Number of days in this solution
+   * @returns {number} returns.schedules[].maxGapBetweenCourses - Longest gap in this solution
+   * @returns {number} returns.schedules[].coursesOnBusiestDay - Most courses on any day
+   * @returns {number} returns.schedules[].score - Quality score for this solution
+   * @returns {Object} [returns.schedules[].penalties] - Unweighted penalty per preference (only with preferenceWeights)
+   * @returns {number} [returns.schedules[].weightedPenalty] - Weighted penalty total (only with preferenceWeights)
+   * @returns {Object} returns.schedules[].schedule - Course to time slot assignments
+   */
+  findAllSolutions(input, maxSolutions = 10, options = {}) {
+    if (this.debugMode) {
+      console.log(`[DeclarativeSolver] Finding all solutions (max: ${maxSolutions})`)
+    }
+
+    const solutions = options.solutions || this.iterateSolutions(input)
+    const solutionsWithStats = []
+    const searchStart = now()
+    // Step the iterator by hand, since leaving a for...of loop would close it
+    while (solutionsWithStats.length < maxSolutions) {
+      const next = solutions.next()
+      if (next.done) break
+      solutionsWithStats.push(next.value)
+    }
+    this.searchStats.durationMs = now() - searchStart
+
+    // Sort solutions by rank (higher optional value and score first)
+    solutionsWithStats.sort((a, b) => compareSolutions(b, a))
+
+    if (this.debugMode) {
+      console.log(`[DeclarativeSolver] Found ${solutionsWithStats.length} solutions`)
+    }
+
+    return {
+      success: solutionsWithStats.length > 0,
+      schedules: solutionsWithStats
+    }
+  }
+
+  /**
+   * Lazily iterate over all solutions in search order
+   * 
+   * Yields one solution at a time, so callers can page through results
+   * ("show 20 more") and stop whenever they have enough, without restarting
+   * the search. The iterator keeps its own constraints, so the solver may be
+   * used for other problems while it is paused.
+   * 
+   * @param {Object} input - The input specification (same format as solve())
+   * @param {Object} [search] - Search limits, updated while iterating
+   * @param {number} [search.maxNodes=Infinity] - Search nodes to expand before the iterator stops early
+   * @param {boolean} [search.aborted] - Set to true when the iterator stopped at maxNodes
+   * @yields {Object} Solution object (same shape as the entries of findAllSolutions().schedules)
+   * 
+   * @example
+   * ```js
+   * const solutions = solver.iterateSolutions(input)
+   * const firstPage = []
+   * for (const solution of solutions) {
+   *   firstPage.push(solution)
+   *   if (firstPage.length === 20) break
+   * }
+   * ```
+   */
+  *iterateSolutions(input, search = {}) {
+    const courses = this._parseInput(input)
+    const courseNames = Object.keys(input.selectedCourses)
+    this._addImplicitConstraints(input)
+
+    search.maxNodes = search.maxNodes ?? Infinity
+    search.aborted = false
+    const root = this._createRootNode(courses, courseNames)
+    // Searches replace the solver fields rather than mutating them, so a shallow
+    // snapshot is enough to resume after another search ran while this one was paused
+    const searchState = { ...this }
+    for (const schedule of this._searchSolutions(root, courseNames, search)) {
+      yield this._computeStats(schedule, courseNames)
+      Object.assign(this, searchState)
+    }
+  }
+
+  /**
+   * Find the K highest-scoring solutions using branch-and-bound
    * 
-   * Exhaustively searches for all valid schedules that satisfy the constraints.
-   * Uses the same backtracking algorithm as solve() but continues searching
-   * after finding each solution. Results are sorted by quality score.
-   * 
-   * Performance Note: The search space grows exponentially with the number of
-   * courses and available slots. Use maxSolutions parameter to limit runtime.
+   * Unlike findAllSolutions(), which keeps the first schedules in backtracking
+   * order, this search ranks every complete schedule it reaches and keeps the
+   * best K. Slot combinations are tried in order of their score bound, and
+   * branches whose bound cannot beat the current K-th best score are pruned.
+   * If the search finishes within the node budget, the result is provably
+   * the top K; otherwise it is the best found so far.
    * 
    * @param {Object} input - The input specification (same format as solve())
-   * @param {number} [maxSolutions=10] - Maximum number of solutions to find
+   * @param {number} [k=10] - Number of best solutions to return
+   * @param {Object} [options] - Search options
+   * @param {number} [options.maxNodes=50000] - Maximum search nodes to expand before giving up on optimality
    * 
    * @returns {Object} Results object with success status and solutions
    * @returns {boolean} returns.success - Whether any solutions were found
-   * @returns {Array} returns.schedules - Array of solution objects, sorted by score
-   * @returns {number} returns.schedules[].days - Number of days in this solution
-   * @returns {number} returns.schedules[].maxGapBetweenCourses - Longest gap in this solution
-   * @returns {number} returns.schedules[].coursesOnBusiestDay - Most courses on any day
-   * @returns {number} returns.schedules[].score - Quality score for this solution
-   * @returns {Object} returns.schedules[].schedule - Course to time slot assignments
+   * @returns {Array} returns.schedules - Up to k solution objects (same shape as findAllSolutions()), best first
+   *   by compareSolutions()
+   * @returns {boolean} returns.optimal - Whether the search completed, proving no better schedules exist
+   * @returns {number} returns.nodesExplored - Number of search nodes expanded
    */
-  findAllSolutions(input, maxSolutions = 10) {
+  findBestSolutions(input, k = 10, options = {}) {
+    const maxNodes = options.maxNodes ?? 50000
     if (this.debugMode) {
-      console.log(`[DeclarativeSolver] Finding all solutions (max: ${maxSolutions})`)
+      console.log(`[DeclarativeSolver] Finding best solutions (k: ${k}, max nodes: ${maxNodes})`)
     }
 
     const courses = this._parseInput(input)
     const courseNames = Object.keys(input.selectedCourses)
     this._addImplicitConstraints(input)
 
-    const solutions = []
-    this._backtrackAll(courses, courseNames, 0, new Schedule(), solutions, maxSolutions)
+    const search = {
+      k,
+      maxNodes,
+      aborted: false,
+      best: [], // stats objects, sorted by compareSolutions() (best first)
+      bounds: this._createBoundContext(courses)
+    }
+    const searchStart = now()
+    const root = this._createRootNode(courses, courseNames)
+    if (k > 0) {
+      this._branchAndBound(root, courseNames, search)
+    }
+    this.searchStats.durationMs = now() - searchStart
+
+    const nodesExplored = this.searchStats.nodesExplored
+    if (this.debugMode) {
+      console.log(`[DeclarativeSolver] Found ${search.best.length} best solutions after ${nodesExplored} nodes (optimal: ${!search.aborted})`)
+    }
+
+    return {
+      success: search.best.length > 0,
+      schedules: search.best,
+      optimal: !search.aborted,
+      nodesExplored
+    }
+  }
+
+  /**
+   * Find good solutions that differ from each other as much as possible
+   * 
+   * The best K solutions often differ by a single swapped slot, because ties
+   * are kept in search order. This search first finds the best K solutions to
+   * set a quality bar (the K-th best score), then collects further solutions
+   * meeting that bar and picks from them greedily: the best solution first,
+   * then always the one whose closest already picked solution is farthest
+   * away (by scheduleDistance), preferring higher scores among equally
+   * distant ones. So every picked solution scores at least as well as the
+   * K-th best one.
+   * 
+   * @param {Object} input - The input specification (same format as solve())
+   * @param {number} [k=10] - Number of solutions to return
+   * @param {Object} [options] - Search options
+   * @param {number} [options.poolSize=500] - Solutions meeting the quality bar to choose from
+   * @param {number} [options.maxNodes=50000] - Node budget of each of the two searches
+   * 
+   * @returns {Object} Results object (same shape as findBestSolutions()), schedules in pick order
+   */
+  findDiverseSolutions(input, k = 10, options = {}) {
+    const maxNodes = options.maxNodes ?? 50000
+    const poolSize = options.poolSize ?? 500
+    const best = this.findBestSolutions(input, k, { maxNodes })
+    if (!best.success) return best
+
+    const bar = best.schedules[best.schedules.length - 1]
+    const pool = new Map(best.schedules.map(solution => [JSON.stringify(solution.schedule), solution]))
+    for (const solution of this.iterateSolutions(input, { maxNodes })) {
+      if (pool.size >= poolSize) break
+      if (compareSolutions(solution, bar) >= 0) {
+        pool.set(JSON.stringify(solution.schedule), solution)
+      }
+    }
+    const scanNodes = this.searchStats.nodesExplored
+
+    const picked = []
+    const remaining = [...pool.values()].sort((a, b) => compareSolutions(b, a))
+    const closestDistance = remaining.map(() => Infinity)
+    while (picked.length < k && remaining.length > 0) {
+      let pickIndex = 0
+      for (let i = 1; i < remaining.length; i++) {
+        if (closestDistance[i] > closestDistance[pickIndex]) pickIndex = i
+      }
+      const [solution] = remaining.splice(pickIndex, 1)
+      closestDistance.splice(pickIndex, 1)
+      picked.push(solution)
+      remaining.forEach((candidate, i) => {
+        closestDistance[i] = Math.min(closestDistance[i], scheduleDistance(candidate.schedule, solution.schedule))
+      })
+    }
+
+    if (this.debugMode) {
+      console.log(`[DeclarativeSolver] Picked ${picked.length} diverse solutions from ${pool.size} with score >= ${bar.score}`)
+    }
+
+    return {
+      ...best,
+      schedules: picked,
+      nodesExplored: best.nodesExplored + scanNodes
+    }
+  }
+
+  /**
+   * Find the Pareto-optimal solutions across the given metrics
+   * 
+   * A solution is Pareto-optimal if no other solution is at least as good in
+   * every metric and better in one. Instead of collapsing the metrics into one
+   * score, the result lists every trade-off between them, e.g. the schedule
+   * with the fewest days next to the one with the smallest gaps. Solutions
+   * with identical metric values are one trade-off; the highest-scoring of
+   * them is kept. Fitting optional courses comes before any trade-off, so only
+   * solutions with the highest optional value found are compared.
+   * 
+   * @param {Object} input - The input specification (same format as solve())
+   * @param {Array<string>} [metrics=['days', 'maxGap']] - Keys of SCHEDULE_METRICS to trade off
+   * @param {Object} [options] - Search options
+   * @param {number} [options.maxNodes=50000] - Maximum search nodes before returning the front found so far
+   * 
+   * @returns {Object} Results object with success status and solutions
+   * @returns {boolean} returns.success - Whether any solutions were found
+   * @returns {Array} returns.schedules - Pareto-optimal solutions (same shape as findAllSolutions(), plus
+   *   metrics: { [metric]: value }), ordered by the first metric, then the next ones
+   * @returns {boolean} returns.optimal - Whether the search completed, so the front is exact
+   * @returns {number} returns.nodesExplored - Number of search nodes expanded
+   */
+  findParetoSolutions(input, metrics = ['days', 'maxGap'], options = {}) {
+    const maxNodes = options.maxNodes ?? 50000
+    for (const metric of metrics) {
+      if (!SCHEDULE_METRICS[metric]) throw new Error(`Unknown schedule metric: ${metric}`)
+    }
 
-    // Filter out any solutions that fail final verification
-    const verifiedSolutions = solutions.filter(sol => this._isValidSchedule(sol, courseNames))
+    const dominates = (a, b) => a.every((value, i) => value <= b[i]) && a.some((value, i) => value < b[i])
+    const sameValues = (a, b) => a.every((value, i) => value === b[i])
+
+    let front = [] // { solution, values }
+    let bestOptionalValue = -Infinity
+    const search = { maxNodes }
+    const searchStart = now()
+    for (const solution of this.iterateSolutions(input, search)) {
+      const optionalValue = solution.optionalValue ?? 0
+      if (optionalValue > bestOptionalValue) {
+        bestOptionalValue = optionalValue
+        front = []
+      }
+      if (optionalValue === bestOptionalValue) {
+        const values = metrics.map(metric => SCHEDULE_METRICS[metric](solution, this.courseDurationMinutes))
+        const same = front.find(entry => sameValues(entry.values, values))
+        if (same) {
+          if (solution.score > same.solution.score) same.solution = solution
+        } else if (!front.some(entry => dominates(entry.values, values))) {
+          front = front.filter(entry => !dominates(values, entry.values))
+          front.push({ solution, values })
+        }
+      }
+    }
+    this.searchStats.durationMs = now() - searchStart
 
-    // Sort solutions by score (higher is better) and compute stats with course duration
-    const solutionsWithStats = verifiedSolutions.map(schedule => schedule.computeStats(this.courseDurationMinutes))
-    solutionsWithStats.sort((a, b) => b.score - a.score)
+    front.sort((a, b) => {
+      const index = a.values.findIndex((value, i) => value !== b.values[i])
+      return index === -1 ? 0 : a.values[index] - b.values[index]
+    })
 
     if (this.debugMode) {
-      console.log(`[DeclarativeSolver] Found ${solutionsWithStats.length} solutions`)
+      console.log(`[DeclarativeSolver] Found ${front.length} Pareto-optimal solutions across ${metrics.join(', ')} (complete: ${!search.aborted})`)
     }
 
     return {
-      success: solutionsWithStats.length > 0,
-      schedules: solutionsWithStats
+      success: front.length > 0,
+      schedules: front.map(({ solution, values }) => ({
+        ...solution,
+        metrics: Object.fromEntries(metrics.map((metric, i) => [metric, values[i]]))
+      })),
+      optimal: !search.aborted,
+      nodesExplored: this.searchStats.nodesExplored
     }
   }
 
@@ -543,14 +1958,70 @@ export class DeclarativeConstraintSolver {
     // Clear existing constraints
     this.constraints = []
 
-    // Always add no overlapping constraint
-    this.addConstraint(new NoOverlappingSlotsConstraint())
+    // Optional courses may be left out; pinned ones are always planned
+    const isLocked = courseName => input.lockedAssignments?.[courseName]?.length > 0
+    this.optionalCourses = {}
+    for (const [courseName, value] of Object.entries(input.optionalCourses || {})) {
+      if (courseName in input.selectedCourses && !isLocked(courseName)) {
+        this.optionalCourses[courseName] = value
+      }
+    }
+
+    // Course group members may be left out too, as long as their group can still be filled
+    this.courseGroups = (input.courseGroups || []).map(group => ({
+      courses: group.courses.filter(courseName => courseName in input.selectedCourses),
+      count: group.count
+    }))
+    this.droppableCourses = new Set([
+      ...Object.keys(this.optionalCourses),
+      ...this.courseGroups.flatMap(group => group.courses).filter(courseName => !isLocked(courseName))
+    ])
+
+    // Add no overlapping constraint unless overlaps are explicitly allowed
+    if (input.preventOverlaps !== false) {
+      this.addConstraint(new NoOverlappingSlotsConstraint())
+    }
+
+    // Add same course once per day constraint
+    if (input.noDuplicateCoursesPerDay) {
+      this.addConstraint(new NoSameCourseTwicePerDayConstraint())
+    }
+
+    // Keep repetitions of a course some days apart
+    if (input.minDaysBetweenRepetitions > 0) {
+      this.addConstraint(new MinDaysBetweenRepetitionsConstraint(input.minDaysBetweenRepetitions))
+    }
 
     // Add max courses per day constraint
     if (input.maxCoursesPerDay) {
       this.addConstraint(new MaxCoursesPerDayConstraint(input.maxCoursesPerDay))
     }
 
+    // Add weekly load constraints
+    if (input.maxCoursesPerWeek > 0) {
+      this.addConstraint(new MaxCoursesPerWeekConstraint(input.maxCoursesPerWeek))
+    }
+    if (input.maxHoursPerWeek > 0) {
+      this.addConstraint(new MaxHoursPerWeekConstraint(input.maxHoursPerWeek, this.courseDurationMinutes))
+    }
+
+    // Add rest-day constraints
+    if (input.maxDaysPerWeek > 0) {
+      this.addConstraint(new MaxDaysPerWeekConstraint(input.maxDaysPerWeek))
+    }
+    if (input.maxConsecutiveDays > 0) {
+      this.addConstraint(new MaxConsecutiveDaysConstraint(input.maxConsecutiveDays))
+    }
+
+    // Require a break after back-to-back courses, unless the rule is only a preference
+    if (input.maxConsecutiveCourses > 0 && !(input.preferenceWeights?.restBreaks > 0)) {
+      this.addConstraint(new MaxConsecutiveCoursesConstraint(
+        input.maxConsecutiveCourses,
+        input.minBreakMinutes || DEFAULT_MIN_BREAK_MINUTES,
+        this.courseDurationMinutes
+      ))
+    }
+
     // Add max empty slots constraint
     if (input.maxEmptySlotsBetweenCourses !== undefined) {
       this.addConstraint(new MaxEmptySlotsBetweenCoursesConstraint(input.maxEmptySlotsBetweenCourses, this.courseDurationMinutes))
@@ -560,70 +2031,435 @@ export class DeclarativeConstraintSolver {
     if (input.courseMultiplicity) {
       this.addConstraint(new CourseMultiplicityConstraint(input.courseMultiplicity))
     }
+
+    // Add time window constraint
+    const earliestStart = TimeSlot.parseTime(input.timeRange?.start)
+    const latestEnd = TimeSlot.parseTime(input.timeRange?.end)
+    if (earliestStart !== null || latestEnd !== null) {
+      this.addConstraint(new TimeWindowConstraint(earliestStart, latestEnd, this.courseDurationMinutes))
+    }
+
+    // Add day availability constraint
+    if (input.allowedDays || (input.blockedDays && input.blockedDays.length > 0)) {
+      this.addConstraint(new DayAvailabilityConstraint(input.allowedDays || null, input.blockedDays || []))
+    }
+
+    // Add per-day start time whitelist
+    if (input.perDayTimeSlots && Object.keys(input.perDayTimeSlots).length > 0) {
+      this.addConstraint(new PerDayTimeSlotsConstraint(input.perDayTimeSlots))
+    }
+
+    // Keep pinned courses at their slots
+    if (input.lockedAssignments && Object.values(input.lockedAssignments).some(slots => slots.length > 0)) {
+      this.addConstraint(new LockedAssignmentsConstraint(input.lockedAssignments))
+    }
+
+    // Schedule exactly the required number of courses per group
+    if (this.courseGroups.length > 0) {
+      this.addConstraint(new CourseGroupConstraint(this.courseGroups))
+    }
+
+    // Keep linked courses on the same day, apart, back to back or in order
+    if (input.courseRelations && input.courseRelations.length > 0) {
+      this.addConstraint(new CourseRelationConstraint(input.courseRelations, this.courseDurationMinutes))
+    }
+
+    this._addSoftConstraints(input)
+  }
+
+  /**
+   * Add weighted preferences based on input parameters
+   * @private
+   */
+  _addSoftConstraints(input) {
+    this.softConstraints = []
+
+    const weights = input.preferenceWeights || {}
+    if (weights.fewerDays > 0) {
+      this.softConstraints.push(new FewerDaysPreference(weights.fewerDays))
+    }
+    if (weights.endEarly > 0) {
+      this.softConstraints.push(new EndEarlyPreference(weights.endEarly))
+    }
+    if (weights.noGaps > 0) {
+      this.softConstraints.push(new NoGapsPreference(weights.noGaps))
+    }
+    if (weights.preferredTeachers > 0 && input.preferredTeachers && input.preferredTeachers.length > 0) {
+      this.softConstraints.push(new PreferredTeachersPreference(weights.preferredTeachers, input.preferredTeachers))
+    }
+    if (weights.spreadEvenly > 0) {
+      this.softConstraints.push(new SpreadEvenlyPreference(weights.spreadEvenly))
+    }
+    if (weights.restBreaks > 0 && input.maxConsecutiveCourses > 0) {
+      this.softConstraints.push(new RestBreaksPreference(
+        weights.restBreaks,
+        input.maxConsecutiveCourses,
+        input.minBreakMinutes || DEFAULT_MIN_BREAK_MINUTES
+      ))
+    }
+
+    if (this.debugMode) {
+      for (const preference of this.softConstraints) {
+        console.log(`[DeclarativeSolver] Added preference: ${preference.getDescription()}`)
+      }
+    }
   }
 
   /**
    * Backtracking algorithm to find a single solution
    * @private
    */
-  _backtrack(courses, courseNames, courseIndex, currentSchedule) {
+  _backtrack(node, courseNames) {
+    this._countNode()
+
     // Base case: all courses assigned
-    if (courseIndex >= courseNames.length) {
-      return this._isValidSchedule(currentSchedule, courseNames) ? currentSchedule : null
+    if (node.unassigned.length === 0) {
+      if (!this._isValidSchedule(node.schedule, this._plannedCourseNames(node.schedule, courseNames))) return null
+      this.searchStats.solutionsFound++
+      return this._inInputOrder(node.schedule, courseNames)
     }
 
-    const courseName = courseNames[courseIndex]
-    const course = courses[courseName]
-    const requiredSlots = this._getRequiredSlots(courseName, currentSchedule)
+    for (const child of this._expandNode(node)) {
+      const result = this._backtrack(child, courseNames)
+      if (result) return result
+    }
 
-    // Try all combinations of available slots for this course
-    const combinations = this._generateSlotCombinations(course.availableSlots, requiredSlots)
-    
-    for (const combination of combinations) {
-      const newSchedule = currentSchedule.assign(courseName, combination)
-      
-      // Check if this assignment violates any constraints
-      if (this._isValidPartialSchedule(newSchedule)) {
-        const result = this._backtrack(courses, courseNames, courseIndex + 1, newSchedule)
-        if (result) return result
+    return null
+  }
+
+  /**
+   * Depth-first search yielding every complete valid schedule
+   * @private
+   */
+  *_searchSolutions(node, courseNames, search) {
+    if (this.searchStats.nodesExplored >= search.maxNodes) {
+      search.aborted = true
+      return
+    }
+    this._countNode()
+
+    // Base case: all courses assigned
+    if (node.unassigned.length === 0) {
+      if (this._isValidSchedule(node.schedule, this._plannedCourseNames(node.schedule, courseNames))) {
+        this.searchStats.solutionsFound++
+        yield this._inInputOrder(node.schedule, courseNames)
       }
+      return
     }
 
-    return null
+    for (const child of this._expandNode(node)) {
+      if (search.aborted) return
+      yield* this._searchSolutions(child, courseNames, search)
+    }
   }
 
   /**
-   * Backtracking algorithm to find all solutions
+   * Branch-and-bound search keeping the best K complete schedules
    * @private
    */
-  _backtrackAll(courses, courseNames, courseIndex, currentSchedule, solutions, maxSolutions) {
-    if (solutions.length >= maxSolutions) return
+  _branchAndBound(node, courseNames, search) {
+    if (this.searchStats.nodesExplored >= search.maxNodes) {
+      search.aborted = true
+      return
+    }
+    this._countNode()
 
     // Base case: all courses assigned
-    if (courseIndex >= courseNames.length) {
-      if (this._isValidSchedule(currentSchedule, courseNames)) {
-        solutions.push(currentSchedule)
+    if (node.unassigned.length === 0) {
+      if (this._isValidSchedule(node.schedule, this._plannedCourseNames(node.schedule, courseNames))) {
+        this.searchStats.solutionsFound++
+        const stats = this._computeStats(this._inInputOrder(node.schedule, courseNames), courseNames)
+        const position = search.best.findIndex(other => compareSolutions(other, stats) < 0)
+        search.best.splice(position === -1 ? search.best.length : position, 0, stats)
+        if (search.best.length > search.k) search.best.pop()
       }
       return
     }
 
-    const courseName = courseNames[courseIndex]
-    const course = courses[courseName]
-    const requiredSlots = this._getRequiredSlots(courseName, currentSchedule)
+    // Expand the most promising children first so good schedules raise the threshold early
+    const candidates = this._expandNode(node).map(child => ({
+      child,
+      bound: {
+        optionalValue: this._optionalValueUpperBound(child),
+        score: this._scoreUpperBound(child.schedule, this._countSessions(child.unassigned), search.bounds)
+      }
+    }))
+    candidates.sort((a, b) => compareSolutions(b.bound, a.bound))
+
+    for (const candidate of candidates) {
+      if (search.aborted) return
+      // No completion of this branch can beat the current K-th best schedule
+      if (search.best.length >= search.k && compareSolutions(candidate.bound, search.best[search.best.length - 1]) <= 0) {
+        return
+      }
+      this._branchAndBound(candidate.child, courseNames, search)
+    }
+  }
 
-    // Try all combinations of available slots for this course
-    const combinations = this._generateSlotCombinations(course.availableSlots, requiredSlots)
-    
-    for (const combination of combinations) {
-      if (solutions.length >= maxSolutions) break
-      
-      const newSchedule = currentSchedule.assign(courseName, combination)
-      
-      // Check if this assignment violates any constraints
-      if (this._isValidPartialSchedule(newSchedule)) {
-        this._backtrackAll(courses, courseNames, courseIndex + 1, newSchedule, solutions, maxSolutions)
+  /**
+   * Count a visited search node and report progress periodically
+   * @private
+   */
+  _countNode() {
+    this.searchStats.nodesExplored++
+    if (this.onProgress && this.searchStats.nodesExplored % this.progressInterval === 0) {
+      this.onProgress({
+        nodesExplored: this.searchStats.nodesExplored,
+        solutionsFound: this.searchStats.solutionsFound
+      })
+    }
+  }
+
+  /**
+   * Create the root search node with every course unassigned
+   * 
+   * A node holds the partial schedule, the courses still to assign and their
+   * remaining candidate slots (domains). With search heuristics enabled the
+   * domains start out filtered by the single-slot constraints.
+   * @private
+   */
+  _createRootNode(courses, courseNames) {
+    this.searchStats = { nodesExplored: 0, solutionsFound: 0, durationMs: 0 }
+
+    const schedule = new Schedule()
+    const domains = {}
+    for (const courseName of courseNames) {
+      const slots = courses[courseName].availableSlots
+      domains[courseName] = this.searchHeuristics
+        ? slots.filter(slot => this._canStillPlace(schedule, slot))
+        : slots
+    }
+    return { schedule, unassigned: [...courseNames], domains }
+  }
+
+  /**
+   * Generate the valid child nodes of a search node by assigning one more course
+   * @private
+   */
+  _expandNode(node) {
+    const courseName = this._selectNextCourse(node)
+    const requiredSlots = this._getRequiredSlots(courseName, node.schedule)
+    const unassigned = node.unassigned.filter(name => name !== courseName)
+    const children = []
+
+    // Try all combinations of remaining slots for this course
+    for (const combination of this._generateSlotCombinations(node.domains[courseName], requiredSlots)) {
+      if (!this.searchHeuristics) {
+        // Plain backtracking: re-check every constraint against the whole partial schedule
+        const schedule = node.schedule.assign(courseName, combination)
+        if (this._isValidPartialSchedule(schedule) && this._canStillComplete(schedule, unassigned, node.domains)) {
+          children.push({ schedule, unassigned, domains: node.domains })
+        }
+        continue
+      }
+
+      // Only check what the new slots change, then prune the other courses' domains
+      if (!this._allowsAssignment(node.schedule, courseName, combination)) continue
+      const schedule = node.schedule.assign(courseName, combination)
+      const domains = this._forwardCheck(schedule, unassigned, node.domains)
+      if (domains && this._canStillComplete(schedule, unassigned, domains)) {
+        children.push({ schedule, unassigned, domains })
+      }
+    }
+
+    // Optional courses and course group members may also be left out, tried last
+    if (this._canDrop(node, courseName)) {
+      children.push({ schedule: node.schedule, unassigned, domains: node.domains })
+    }
+
+    return children
+  }
+
+  /**
+   * Pick the course to assign next
+   * 
+   * With search heuristics enabled this is the most constrained course
+   * (fewest remaining slot combinations, MRV), otherwise input order.
+   * @private
+   */
+  _selectNextCourse(node) {
+    if (!this.searchHeuristics) return node.unassigned[0]
+
+    let selected = node.unassigned[0]
+    let fewestCombinations = Infinity
+    for (const courseName of node.unassigned) {
+      const combinations = countCombinations(node.domains[courseName].length, this._getRequiredSlots(courseName, node.schedule))
+      if (combinations < fewestCombinations) {
+        selected = courseName
+        fewestCombinations = combinations
+      }
+    }
+    return selected
+  }
+
+  /**
+   * Check whether assigning slots to a course keeps a partial schedule valid
+   * @private
+   */
+  _allowsAssignment(schedule, courseName, slots) {
+    for (const constraint of this.constraints) {
+      if (!constraint.allowsAssignment(schedule, courseName, slots)) {
+        if (this.debugMode) {
+          console.log(`[DeclarativeSolver] Constraint violated: ${constraint.getDescription()}`)
+        }
+        return false
+      }
+    }
+    return true
+  }
+
+  /**
+   * Check whether the unassigned courses could still repair a partial schedule
+   * @private
+   */
+  _canStillComplete(schedule, unassigned, domains) {
+    return this.constraints.every(constraint => constraint.canStillComplete(schedule, unassigned, domains))
+  }
+
+  /**
+   * Check whether a single slot can still be added to a partial schedule
+   * @private
+   */
+  _canStillPlace(schedule, slot) {
+    return this.constraints.every(constraint => constraint.canStillPlace(schedule, slot))
+  }
+
+  /**
+   * Remove slots that can no longer be placed from the domains of unassigned courses
+   * @private
+   * @returns {Object|null} The pruned domains, or null if a required course can no longer be scheduled
+   */
+  _forwardCheck(schedule, unassigned, domains) {
+    const prunedDomains = {}
+    for (const courseName of unassigned) {
+      const remaining = domains[courseName].filter(slot => this._canStillPlace(schedule, slot))
+      // Droppable courses that no longer fit are left out when their turn comes
+      if (remaining.length < this._getRequiredSlots(courseName, schedule) && !this.droppableCourses.has(courseName)) {
+        return null
+      }
+      prunedDomains[courseName] = remaining
+    }
+    return prunedDomains
+  }
+
+  /**
+   * Reorder a complete schedule's assignments to match the input course order
+   * @private
+   */
+  _inInputOrder(schedule, courseNames) {
+    const assignments = {}
+    for (const courseName of courseNames) {
+      if (courseName in schedule.assignments) {
+        assignments[courseName] = schedule.assignments[courseName]
+      }
+    }
+    return new Schedule(assignments)
+  }
+
+  /**
+   * Check whether a course may be left out of a search node's schedule
+   *
+   * Course group members may only be dropped while enough other members
+   * are scheduled or still unassigned to fill their group.
+   * @private
+   */
+  _canDrop(node, courseName) {
+    if (!this.droppableCourses.has(courseName)) return false
+    return this.courseGroups.every(group => !group.courses.includes(courseName) ||
+      group.courses.filter(member => member !== courseName &&
+        (member in node.schedule.assignments || node.unassigned.includes(member))).length >= group.count)
+  }
+
+  /**
+   * Courses a complete schedule has to contain: all but the dropped ones
+   * @private
+   */
+  _plannedCourseNames(schedule, courseNames) {
+    return courseNames.filter(courseName => courseName in schedule.assignments || !this.droppableCourses.has(courseName))
+  }
+
+  /**
+   * Compute the stats of a complete schedule, plus the optional courses it fits
+   * @private
+   */
+  _computeStats(schedule, courseNames) {
+    const stats = schedule.computeStats(this.courseDurationMinutes, this.softConstraints)
+    if (Object.keys(this.optionalCourses).length > 0) {
+      stats.optionalValue = Object.entries(this.optionalCourses)
+        .reduce((sum, [courseName, value]) => courseName in schedule.assignments ? sum + value : sum, 0)
+      stats.droppedCourses = courseNames.filter(courseName => courseName in this.optionalCourses && !(courseName in schedule.assignments))
+    }
+    return stats
+  }
+
+  /**
+   * Highest optional course value any completion of a search node can fit
+   * @private
+   */
+  _optionalValueUpperBound(node) {
+    let value = 0
+    for (const [courseName, courseValue] of Object.entries(this.optionalCourses)) {
+      if (courseName in node.schedule.assignments || node.unassigned.includes(courseName)) {
+        value += courseValue
+      }
+    }
+    return value
+  }
+
+  /**
+   * Total number of sessions the given courses still need
+   * @private
+   */
+  _countSessions(courseNames) {
+    return courseNames.reduce((total, courseName) => total + this._getRequiredSlots(courseName, null), 0)
+  }
+
+  /**
+   * Precompute problem-wide values used by _scoreUpperBound
+   * @private
+   */
+  _createBoundContext(courses) {
+    // Largest possible quantized gap on any day, from the spread of all available start times
+    const startsByDay = {}
+    for (const course of Object.values(courses)) {
+      for (const slot of course.availableSlots) {
+        if (!startsByDay[slot.day]) startsByDay[slot.day] = []
+        startsByDay[slot.day].push(slot.slot)
+      }
+    }
+    let maxPossibleGap = 0
+    for (const starts of Object.values(startsByDay)) {
+      const spreadMinutes = Math.max(...starts) - Math.min(...starts)
+      const gapSlots = Math.floor(spreadMinutes / this.courseDurationMinutes)
+      maxPossibleGap = Math.max(maxPossibleGap, (gapSlots * this.courseDurationMinutes) / 60)
+    }
+
+    return {
+      dayCount: Object.keys(startsByDay).length,
+      maxPossibleGap
+    }
+  }
+
+  /**
+   * Highest score any completion of a partial schedule can reach
+   * @private
+   */
+  _scoreUpperBound(schedule, remainingSessions, bounds) {
+    if (this.softConstraints.length > 0) {
+      let weightedLowerBound = 0
+      for (const preference of this.softConstraints) {
+        weightedLowerBound += preference.weight * preference.getPenaltyLowerBound(schedule, this.courseDurationMinutes)
       }
+      // Rounding is monotonic, so the rounded bound still bounds the rounded score
+      return -Schedule.roundPenalty(weightedLowerBound)
     }
+
+    // Legacy score: days can only grow by the remaining sessions and the busiest day never shrinks
+    const slotsByDay = schedule.getSlotsByDay()
+    const days = Object.keys(slotsByDay).length
+    const coursesOnBusiestDay = Math.max(...Object.values(slotsByDay).map(slots => slots.length), 0)
+    const maxDays = Math.min(bounds.dayCount, days + remainingSessions)
+    return maxDays * 2 + bounds.maxPossibleGap - coursesOnBusiestDay * 2
   }
 
   /**
@@ -688,7 +2524,7 @@ export class DeclarativeConstraintSolver {
    */
   _isValidPartialSchedule(schedule) {
     for (const constraint of this.constraints) {
-      if (!constraint.isSatisfied(schedule)) {
+      if (!constraint.isPartialScheduleSatisfied(schedule)) {
         if (this.debugMode) {
           console.log(`[DeclarativeSolver] Constraint violated: ${constraint.getDescription()}`)
         }
@@ -703,9 +2539,9 @@ export class DeclarativeConstraintSolver {
    * @private
    */
   _isValidSchedule(schedule, allCourseNames = null) {
-    // For complete schedules, use special validation for multiplicity constraints
+    // For complete schedules, use special validation for multiplicity and course group constraints
     for (const constraint of this.constraints) {
-      if (constraint instanceof CourseMultiplicityConstraint && allCourseNames) {
+      if (typeof constraint.isCompleteScheduleSatisfied === 'function' && allCourseNames) {
         if (!constraint.isCompleteScheduleSatisfied(schedule, allCourseNames)) {
           if (this.debugMode) {
             console.log(`[DeclarativeSolver] Complete schedule constraint violated: ${constraint.getDescription()}`)
@@ -726,9 +2562,10 @@ export class DeclarativeConstraintSolver {
 
   /**
    * Get a summary of all constraints
+   * @param {Object} [format] - Localisation hooks passed to formatMessage
    */
-  getConstraintsSummary() {
-    return this.constraints.map(c => c.getDescription())
+  getConstraintsSummary(format) {
+    return this.constraints.map(c => c.getDescription(format))
   }
 
   /**
@@ -802,7 +2639,32 @@ export {
   Schedule,
   Constraint,
   MaxCoursesPerDayConstraint,
+  MaxCoursesPerWeekConstraint,
+  MaxHoursPerWeekConstraint,
+  MaxDaysPerWeekConstraint,
+  MaxConsecutiveDaysConstraint,
+  MaxConsecutiveCoursesConstraint,
   MaxEmptySlotsBetweenCoursesConstraint,
   NoOverlappingSlotsConstraint,
-  CourseMultiplicityConstraint
+  NoSameCourseTwicePerDayConstraint,
+  MinDaysBetweenRepetitionsConstraint,
+  CourseMultiplicityConstraint,
+  TimeWindowConstraint,
+  DayAvailabilityConstraint,
+  PerDayTimeSlotsConstraint,
+  LockedAssignmentsConstraint,
+  CourseGroupConstraint,
+  CourseRelationConstraint,
+  COURSE_RELATION_CODES,
+  DEFAULT_MIN_BREAK_MINUTES,
+  daysApart,
+  consecutiveRunLengths,
+  longestDayRun,
+  SoftConstraint,
+  FewerDaysPreference,
+  EndEarlyPreference,
+  NoGapsPreference,
+  PreferredTeachersPreference,
+  SpreadEvenlyPreference,
+  RestBreaksPreference
 }
@@ -5,23 +5,28 @@
  * intelligent hints and suggestions when no feasible solution exists.
  * 
  * Features:
+ * - Pinpoints minimal sets of courses, slots and constraints that conflict
  * - Analyzes constraint conflicts and provides specific suggestions
  * - Suggests adding time slots, relaxing constraints, or removing courses
  * - Provides alternative solutions with relaxed constraints
+ * - Offers near-miss schedules that break one constraint by the smallest amount
  * - Returns structured hints for UI integration
  */
 
-import { DeclarativeConstraintSolver } from './declarativeConstraintSolver.js'
+import { DeclarativeConstraintSolver, TimeSlot, formatMessage, COURSE_RELATION_CODES, DEFAULT_MIN_BREAK_MINUTES } from './declarativeConstraintSolver.js'
+import { AlternativeSolutionGenerator } from './alternativeSolutionGenerator.js'
 
 /**
  * Represents a suggested modification to make scheduling feasible
  */
 class SchedulingHint {
-  constructor(type, description, modification, impact) {
-    this.type = type // 'add_slots', 'remove_course', 'relax_constraint', 'reduce_multiplicity'
-    this.description = description // Human-readable description
+  constructor(type, message, modification, impact, metrics = null) {
+    this.type = type // 'conflict', 'add_slots', 'enable_time_slot', 'remove_course', 'relax_constraint', 'reduce_multiplicity'
+    this.message = message // Structured description: { code, params } for formatMessage / useI18n
+    this.description = capitalize(formatMessage(message.code, message.params)) // English description
     this.modification = modification // Specific change details
     this.impact = impact // Expected impact/benefit
+    this.metrics = metrics // Measured effect: { feasibleCount, countCapped, bestScore, bestDays }
   }
 }
 
@@ -29,13 +34,63 @@ class SchedulingHint {
  * Represents an alternative solution with relaxed constraints
  */
 class AlternativeSolution {
-  constructor(schedules, relaxedConstraint, description) {
+  constructor(schedules, relaxedConstraint, message, changes = []) {
     this.schedules = schedules // Array of valid schedules
-    this.relaxedConstraint = relaxedConstraint // Which constraint was relaxed
-    this.description = description // What was changed
+    this.relaxedConstraint = relaxedConstraint // Which constraint was relaxed ('combined' for several)
+    this.message = message // Structured description of what was changed
+    this.description = formatMessage(message.code, message.params) // What was changed
+    this.changes = changes // Applied changes: { constraint, course?, currentValue, suggestedValue, amount, message, description }
+    this.totalChange = changes.reduce((sum, change) => sum + change.amount, 0) // Edit distance to the input
   }
 }
 
+const MAX_COMBINED_CHANGE = 3 // Largest total change tried by combined relaxations
+const MAX_COMBINATION_CHECKS = 100 // Re-solves allowed for combined relaxations
+const MAX_COMBINED_ALTERNATIVES = 3
+const HINT_COUNT_LIMIT = 100 // Schedules counted per hint before reporting "100+"
+const HINT_SEARCH_NODES = 5000 // Node budget for the best schedule per hint
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1)
+}
+
+/**
+ * Structured message together with its English description
+ * @returns {{message: {code: string, params: Object}, description: string}}
+ */
+function describe(code, params = {}) {
+  return { message: { code, params }, description: formatMessage(code, params) }
+}
+
+/**
+ * Key identifying a conflict item or the dimension relaxing it
+ */
+function conflictItemKey(item) {
+  return `${item.type}:${item.course ?? item.constraint ?? item.group ?? item.relation}`
+}
+
+/**
+ * Yield every way to split a total change across dimensions
+ * @param {Array<number>} maxLevels - Largest step per dimension
+ * @param {number} total - Sum of the yielded levels
+ * @yields {Array<number>} Step level per dimension (0 = unchanged)
+ */
+function* distributeChange(maxLevels, total, index = 0) {
+  if (index === maxLevels.length) {
+    if (total === 0) yield []
+    return
+  }
+  for (let level = Math.min(total, maxLevels[index]); level >= 0; level--) {
+    for (const rest of distributeChange(maxLevels, total - level, index + 1)) {
+      yield [level, ...rest]
+    }
+  }
+}
+
+function countChanged(levels) {
+  return levels.filter(level => level > 0).length
+}
+
 /**
  * High-level solver that provides hints when scheduling fails
  * 
@@ -71,8 +126,30 @@ class AlternativeSolution {
  * ```
  */
 export class HintingSolver {
+  /**
+   * @param {Object} [options] - Solver options
+   * @param {number} [options.courseDurationMinutes=70] - Course duration for gap calculations
+   * @param {string} [options.searchMode='first'] - 'first' returns schedules in search order,
+   *   'best' returns the highest-scoring schedules via branch-and-bound, 'diverse' returns
+   *   high-scoring schedules that differ from each other as much as possible, 'pareto' returns
+   *   the Pareto-optimal schedules across options.paretoMetrics (regardless of maxSolutions)
+   * @param {Array<string>} [options.paretoMetrics=['days', 'maxGap']] - SCHEDULE_METRICS keys traded off in 'pareto' mode
+   * @param {Function} [options.onProgress] - Called periodically with
+   *   { phase: 'solving' | 'hinting', nodesExplored, solutionsFound }, where nodesExplored
+   *   counts all searches of this solve() call
+   * @param {number} [options.progressInterval=1000] - Search nodes between progress reports
+   */
   constructor(options = {}) {
-    this.baseSolver = new DeclarativeConstraintSolver(options)
+    this.baseSolver = new DeclarativeConstraintSolver({
+      ...options,
+      onProgress: options.onProgress ? progress => this._reportSearchProgress(progress) : null
+    })
+    this.searchMode = options.searchMode || 'first'
+    this.paretoMetrics = options.paretoMetrics || ['days', 'maxGap']
+    this.onProgress = options.onProgress || null
+    this.progress = { phase: 'solving', nodesExplored: 0, solutionsFound: 0 }
+    this.lastSearchNodes = 0
+    this.remainingSolutions = null // Open iterateSolutions() iterator of the last 'first' mode solve()
     this.debugMode = false
   }
 
@@ -100,34 +177,62 @@ export class HintingSolver {
    * @param {Object} input.selectedCourses - Courses to schedule with their available slots
    * @param {Object} input.existingCourses - All course slots including disabled ones (for hints)
    * @param {number} [input.maxCoursesPerDay] - Maximum courses per day
+   * @param {number} [input.maxDaysPerWeek] - Maximum days with courses
+   * @param {number} [input.maxConsecutiveDays] - Maximum days with courses in a row
+   * @param {number} [input.maxCoursesPerWeek] - Maximum course sessions per week
+   * @param {number} [input.maxHoursPerWeek] - Maximum hours of courses per week
+   * @param {number} [input.maxConsecutiveCourses] - Courses in a row after which a break is required
+   * @param {number} [input.minBreakMinutes] - Shortest pause that counts as a break
    * @param {number} [input.maxEmptySlotsBetweenCourses] - Maximum gap between courses
    * @param {number} [input.minEmptySlotsBetweenCourses] - Minimum gap between courses
    * @param {Object} [input.courseMultiplicity] - Required occurrences per course
+   * @param {boolean} [input.preventOverlaps=true] - Whether overlapping courses are rejected
+   * @param {boolean} [input.noDuplicateCoursesPerDay=false] - Whether a course may only occur once per day
+   * @param {number} [input.minDaysBetweenRepetitions] - Minimum days between sessions of the same course
+   * @param {Object} [input.timeRange] - Daily time window ({ start: 'HH:MM', end: 'HH:MM' })
+   * @param {Array} [input.allowedDays] - Day codes courses may be scheduled on
+   * @param {Array} [input.blockedDays] - Day codes courses must not be scheduled on
+   * @param {Object} [input.perDayTimeSlots] - Allowed start minutes per day code
+   * @param {Object} [input.lockedAssignments] - Pinned slots ({ day, slot }) per course
+   * @param {Array} [input.courseGroups] - Choose-k-of-n groups ({ courses, count })
+   * @param {Array} [input.courseRelations] - Links between two courses ({ first, second, type })
    * @param {number} [maxSolutions=10] - Maximum solutions to return on success
    * 
    * @returns {Object} Result object with success status, schedules, or hints/alternatives
    * @returns {boolean} returns.success - Whether a solution was found
    * @returns {Array} [returns.schedules] - Valid schedules (on success)
+   * @returns {boolean} [returns.optimal] - Whether the schedules are provably the best ones (on success in 'best' mode;
+   *   in 'diverse' mode whether they were picked from the provably best ones, in 'pareto' mode whether the front is exact)
    * @returns {Array} [returns.hints] - Suggested modifications (on failure)
    * @returns {Array} [returns.alternatives] - Alternative solutions (on failure)
+   * @returns {Array} [returns.nearMisses] - Schedules breaking exactly one constraint by the smallest amount
+   *   (on failure, see AlternativeSolutionGenerator)
    */
   solve(input, maxSolutions = 10) {
     if (this.debugMode) {
       console.log('[HintingSolver] Starting solve with input:', input)
     }
 
+    this.progress = { phase: 'solving', nodesExplored: 0, solutionsFound: 0 }
+    this.lastSearchNodes = 0
+    this.remainingSolutions = null
+
     // First try to solve with the given constraints
-    const solutionResult = this.baseSolver.findAllSolutions(input, maxSolutions)
+    const solutionResult = this._findSolutions(input, maxSolutions)
     
     if (solutionResult.success && solutionResult.schedules.length > 0) {
       if (this.debugMode) {
         console.log(`[HintingSolver] Found ${solutionResult.schedules.length} solutions`)
       }
       
-      return {
+      const result = {
         success: true,
         schedules: solutionResult.schedules
       }
+      if (['best', 'diverse', 'pareto'].includes(this.searchMode)) {
+        result.optimal = solutionResult.optimal
+      }
+      return result
     }
 
     if (this.debugMode) {
@@ -135,15 +240,68 @@ export class HintingSolver {
     }
 
     // No solution found - generate hints and alternatives
-    const hints = this._generateHints(input)
-    const alternatives = this._findAlternativeSolutions(input, maxSolutions)
+    this._setPhase('hinting')
+    const conflict = this._findMinimalConflict(input)
+    const hints = this._generateHints(input, conflict)
+    const alternatives = this._findAlternativeSolutions(input, maxSolutions, conflict)
+    const nearMisses = new AlternativeSolutionGenerator({ courseDurationMinutes: this.baseSolver.courseDurationMinutes })
+      .generate(input)
 
     return {
       success: false,
       reason: 'No feasible solution with current constraints',
       hints,
-      alternatives
+      alternatives,
+      nearMisses
+    }
+  }
+
+  /**
+   * Run the base solver's search for the configured search mode
+   * @private
+   */
+  _findSolutions(input, maxSolutions) {
+    switch (this.searchMode) {
+      case 'best':
+        return this.baseSolver.findBestSolutions(input, maxSolutions)
+      case 'diverse':
+        return this.baseSolver.findDiverseSolutions(input, maxSolutions)
+      case 'pareto':
+        return this.baseSolver.findParetoSolutions(input, this.paretoMetrics)
+      default:
+        // Keep the search open, so callers can resume it for further schedules
+        this.remainingSolutions = this.baseSolver.iterateSolutions(input)
+        return this.baseSolver.findAllSolutions(input, maxSolutions, { solutions: this.remainingSolutions })
+    }
+  }
+
+  /**
+   * Switch the reported progress phase
+   * @private
+   */
+  _setPhase(phase) {
+    this.progress.phase = phase
+    if (this.onProgress) {
+      this.onProgress({ ...this.progress })
+    }
+  }
+
+  /**
+   * Accumulate progress of the base solver's searches into one report
+   * @private
+   * @param {Object} progress - { nodesExplored, solutionsFound } of the running search
+   */
+  _reportSearchProgress(progress) {
+    // Node counts restart with every search, so a count that does not grow means a new search began
+    const newNodes = progress.nodesExplored <= this.lastSearchNodes
+      ? progress.nodesExplored
+      : progress.nodesExplored - this.lastSearchNodes
+    this.lastSearchNodes = progress.nodesExplored
+    this.progress.nodesExplored += newNodes
+    if (this.progress.phase === 'solving') {
+      this.progress.solutionsFound = progress.solutionsFound
     }
+    this.onProgress({ ...this.progress })
   }
 
   /**
@@ -152,49 +310,344 @@ export class HintingSolver {
    * @param {Object} input - The original input
    * @returns {Array<SchedulingHint>} Array of suggested modifications
    */
-  _generateHints(input) {
+  _generateHints(input, conflict) {
     const hints = []
     
+    // Explain which things cannot hold together; relaxations target that core
+    if (conflict.length > 0) {
+      hints.push(new SchedulingHint(
+        'conflict',
+        this._getConflictMessage(conflict),
+        { items: conflict },
+        'Info - changing any one of these resolves this conflict'
+      ))
+    }
+    
     // Analyze each type of potential issue
     hints.push(...this._analyzeSlotConflicts(input))
-    hints.push(...this._analyzeConstraintConflicts(input))
+    hints.push(...this._analyzeUntickedTimeSlots(input))
+    hints.push(...this._analyzeConstraintConflicts(input, conflict))
     hints.push(...this._analyzeMultiplicityIssues(input))
-    hints.push(...this._analyzeCourseRemovalOptions(input))
+    hints.push(...this._analyzeCourseRemovalOptions(input, conflict))
     
-    // Sort hints by potential impact
-    hints.sort((a, b) => this._getHintPriority(a.type) - this._getHintPriority(b.type))
+    // Sort hints by measured benefit; the hint type only breaks ties
+    hints.sort((a, b) => this._compareHints(a, b))
     
     return hints
   }
 
+  /**
+   * Find a minimal set of courses, slots and constraints that cannot hold together
+   * 
+   * Starts from everything the user asked for and drops one item at a time,
+   * keeping it dropped whenever the rest is still infeasible. What remains is
+   * a minimal unsatisfiable subset: relaxing any single item of it resolves
+   * this conflict (though other conflicts may remain). Courses are tried
+   * first, so the core names as few courses as possible.
+   * @private
+   * @param {Object} input - The infeasible input
+   * @returns {Array<Object>} Conflict items ({ type, course?, constraint?, message, description })
+   */
+  _findMinimalConflict(input) {
+    const items = this._getConflictItems(input)
+    let core = items
+    
+    for (const item of items) {
+      const reduced = core.filter(other => other !== item)
+      if (!this._isFeasible(this._buildInputFromItems(input, reduced))) {
+        core = reduced
+      }
+    }
+    
+    return core
+  }
+
+  /**
+   * List the parts of the input a conflict can consist of
+   * 
+   * 'course' items require a course to be scheduled, 'slots' items restrict it
+   * to its selected slots (instead of all existing ones), 'multiplicity' items
+   * require its repetitions, 'locked' items keep its pinned slots, 'group'
+   * items require the count of a course group, 'relation' items link two
+   * courses and 'constraint' items are the global rules. Group members are required through their group's item only.
+   * @private
+   */
+  _getConflictItems(input) {
+    const courseNames = Object.keys(input.selectedCourses)
+    const groupMembers = this._getGroupMembers(input)
+    const items = courseNames
+      .filter(course => !groupMembers.has(course))
+      .map(course => ({ type: 'course', course, ...describe('"{course}"', { course }) }))
+    
+    for (const course of courseNames) {
+      if (this._getAdditionalSlots(input, course).length > 0) {
+        items.push({ type: 'slots', course, ...describe('"{course}" at the selected times only', { course }) })
+      }
+      const count = input.courseMultiplicity?.[course]
+      if (count > 1) {
+        items.push({ type: 'multiplicity', course, ...describe('"{course}" {count} times', { course, count }) })
+      }
+      if (input.lockedAssignments?.[course]?.length > 0) {
+        items.push({ type: 'locked', course, ...describe('"{course}" kept at its pinned time', { course }) })
+      }
+    }
+    
+    for (const [group, { courses, count }] of (input.courseGroups || []).entries()) {
+      items.push({ type: 'group', group, ...describe('any {count} of {courses}', { count, courses }) })
+    }
+    
+    for (const [relation, { first, second, type }] of (input.courseRelations || []).entries()) {
+      items.push({ type: 'relation', relation, ...describe(COURSE_RELATION_CODES[type], { first, second }) })
+    }
+    
+    const addConstraint = (constraint, code, params) => items.push({ type: 'constraint', constraint, ...describe(code, params) })
+    if (input.preventOverlaps !== false) {
+      addConstraint('preventOverlaps', 'no overlapping courses')
+    }
+    if (input.noDuplicateCoursesPerDay) {
+      addConstraint('noDuplicateCoursesPerDay', 'each course at most once per day')
+    }
+    if (input.minDaysBetweenRepetitions > 0) {
+      addConstraint('minDaysBetweenRepetitions', 'repetitions at least {count} day(s) apart', { count: input.minDaysBetweenRepetitions })
+    }
+    if (input.maxCoursesPerDay) {
+      addConstraint('maxCoursesPerDay', 'at most {count} course(s) per day', { count: input.maxCoursesPerDay })
+    }
+    if (input.maxDaysPerWeek > 0) {
+      addConstraint('maxDaysPerWeek', 'at most {count} dance day(s) per week', { count: input.maxDaysPerWeek })
+    }
+    if (input.maxConsecutiveDays > 0) {
+      addConstraint('maxConsecutiveDays', 'at most {count} dance day(s) in a row', { count: input.maxConsecutiveDays })
+    }
+    if (input.maxCoursesPerWeek > 0) {
+      addConstraint('maxCoursesPerWeek', 'at most {count} course(s) per week', { count: input.maxCoursesPerWeek })
+    }
+    if (input.maxHoursPerWeek > 0) {
+      addConstraint('maxHoursPerWeek', 'at most {hours} hour(s) of dancing per week', { hours: input.maxHoursPerWeek })
+    }
+    if (input.maxConsecutiveCourses > 0 && !(input.preferenceWeights?.restBreaks > 0)) {
+      addConstraint('maxConsecutiveCourses', 'at most {count} course(s) in a row without a {minutes}-minute break', {
+        count: input.maxConsecutiveCourses,
+        minutes: input.minBreakMinutes || DEFAULT_MIN_BREAK_MINUTES
+      })
+    }
+    if (input.maxEmptySlotsBetweenCourses !== undefined) {
+      addConstraint('maxEmptySlotsBetweenCourses', 'gaps of at most {hours} hour(s)', { hours: input.maxEmptySlotsBetweenCourses })
+    }
+    if (TimeSlot.parseTime(input.timeRange?.start) !== null) {
+      addConstraint('earliestTimeStr', 'courses from {time}', { time: input.timeRange.start })
+    }
+    if (TimeSlot.parseTime(input.timeRange?.end) !== null) {
+      addConstraint('latestTimeStr', 'courses until {time}', { time: input.timeRange.end })
+    }
+    if (input.allowedDays) {
+      addConstraint('allowedDays', 'courses only on {days}', { days: input.allowedDays })
+    }
+    if (input.blockedDays && input.blockedDays.length > 0) {
+      addConstraint('blockedDays', 'no courses on {days}', { days: input.blockedDays })
+    }
+    if (input.perDayTimeSlots && Object.keys(input.perDayTimeSlots).length > 0) {
+      addConstraint('perDayTimeSlots', 'only the ticked start times')
+    }
+    
+    return items
+  }
+
+  /**
+   * Courses belonging to any course group of the input
+   * @private
+   */
+  _getGroupMembers(input) {
+    return new Set((input.courseGroups || []).flatMap(group => group.courses))
+  }
+
+  /**
+   * Build the input that enforces only the given conflict items
+   * 
+   * Everything not modelled as a conflict item is kept as it is. Members of
+   * a dropped course group are neither required nor limited any more.
+   * @private
+   */
+  _buildInputFromItems(input, items) {
+    const keys = new Set(items.map(conflictItemKey))
+    const hasConstraint = constraint => keys.has(`constraint:${constraint}`)
+    const groupMembers = this._getGroupMembers(input)
+    
+    const selectedCourses = {}
+    const courseMultiplicity = {}
+    const lockedAssignments = {}
+    for (const [course, slots] of Object.entries(input.selectedCourses)) {
+      if (!keys.has(`course:${course}`) && !groupMembers.has(course)) continue
+      selectedCourses[course] = keys.has(`slots:${course}`)
+        ? slots
+        : [...slots, ...this._getAdditionalSlots(input, course)]
+      if (keys.has(`multiplicity:${course}`)) {
+        courseMultiplicity[course] = input.courseMultiplicity[course]
+      }
+      if (keys.has(`locked:${course}`)) {
+        lockedAssignments[course] = input.lockedAssignments[course]
+      }
+    }
+    
+    const result = {
+      ...input,
+      selectedCourses,
+      courseMultiplicity,
+      lockedAssignments,
+      preventOverlaps: hasConstraint('preventOverlaps'),
+      noDuplicateCoursesPerDay: hasConstraint('noDuplicateCoursesPerDay'),
+      timeRange: {
+        start: hasConstraint('earliestTimeStr') ? input.timeRange.start : null,
+        end: hasConstraint('latestTimeStr') ? input.timeRange.end : null
+      }
+    }
+    if (input.courseGroups) {
+      result.courseGroups = []
+      result.optionalCourses = { ...input.optionalCourses }
+      for (const [index, group] of input.courseGroups.entries()) {
+        if (keys.has(`group:${index}`)) {
+          result.courseGroups.push(group)
+        } else {
+          for (const course of group.courses) {
+            result.optionalCourses[course] = result.optionalCourses[course] ?? 0
+          }
+        }
+      }
+    }
+    if (input.courseRelations) {
+      result.courseRelations = input.courseRelations.filter((relation, index) => keys.has(`relation:${index}`))
+    }
+    if (!hasConstraint('maxCoursesPerDay')) delete result.maxCoursesPerDay
+    if (!hasConstraint('maxDaysPerWeek')) delete result.maxDaysPerWeek
+    if (!hasConstraint('maxConsecutiveDays')) delete result.maxConsecutiveDays
+    if (!hasConstraint('maxCoursesPerWeek')) delete result.maxCoursesPerWeek
+    if (!hasConstraint('maxHoursPerWeek')) delete result.maxHoursPerWeek
+    if (!hasConstraint('maxConsecutiveCourses')) delete result.maxConsecutiveCourses
+    if (!hasConstraint('maxEmptySlotsBetweenCourses')) delete result.maxEmptySlotsBetweenCourses
+    if (!hasConstraint('minDaysBetweenRepetitions')) delete result.minDaysBetweenRepetitions
+    if (!hasConstraint('allowedDays')) delete result.allowedDays
+    if (!hasConstraint('blockedDays')) delete result.blockedDays
+    if (!hasConstraint('perDayTimeSlots')) delete result.perDayTimeSlots
+    return result
+  }
+
+  /**
+   * Describe a conflict core as a sentence
+   * @private
+   * @returns {{code: string, params: Object}} Message listing the conflict items
+   */
+  _getConflictMessage(conflict) {
+    // A course is already named by its slot, multiplicity or pinned items
+    const items = conflict
+      .filter(item => item.type !== 'course' || !conflict.some(other => other !== item && other.course === item.course))
+      .map(item => item.message)
+    
+    return items.length === 1
+      ? { code: '{items} cannot be satisfied', params: { items } }
+      : { code: '{items} cannot hold together', params: { items } }
+  }
+
+  /**
+   * Check whether the input has at least one solution
+   * @private
+   */
+  _isFeasible(input) {
+    return !this.baseSolver.iterateSolutions(input).next().done
+  }
+
+  /**
+   * Measure the schedules an input allows
+   * 
+   * Counts schedules up to HINT_COUNT_LIMIT and finds the best score within
+   * a node budget.
+   * @private
+   * @returns {Object} { feasibleCount, countCapped, bestScore, bestDays }; scores are null if infeasible
+   */
+  _measureHint(input) {
+    const solutions = this.baseSolver.iterateSolutions(input)
+    let feasibleCount = 0
+    while (feasibleCount < HINT_COUNT_LIMIT && !solutions.next().done) {
+      feasibleCount++
+    }
+    
+    const metrics = { feasibleCount, countCapped: feasibleCount >= HINT_COUNT_LIMIT, bestScore: null, bestDays: null }
+    if (feasibleCount > 0) {
+      const best = this.baseSolver.findBestSolutions(input, 1, { maxNodes: HINT_SEARCH_NODES }).schedules[0]
+      if (best) {
+        metrics.bestScore = best.score
+        metrics.bestDays = best.days
+      }
+    }
+    return metrics
+  }
+
+  /**
+   * Order hints by how many schedules they unlock, then by the best score
+   * 
+   * Hints without metrics (the conflict explanation) come first.
+   * @private
+   */
+  _compareHints(a, b) {
+    if (!a.metrics || !b.metrics) {
+      return (a.metrics ? 1 : 0) - (b.metrics ? 1 : 0) || this._getHintPriority(a.type) - this._getHintPriority(b.type)
+    }
+    const bestScore = hint => hint.metrics.bestScore ?? -Infinity
+    if (a.metrics.feasibleCount !== b.metrics.feasibleCount) {
+      return b.metrics.feasibleCount - a.metrics.feasibleCount
+    }
+    if (bestScore(a) !== bestScore(b)) {
+      return bestScore(b) - bestScore(a)
+    }
+    return this._getHintPriority(a.type) - this._getHintPriority(b.type)
+  }
+
+  /**
+   * Existing slots of a course that are not selected
+   * @private
+   */
+  _getAdditionalSlots(input, course) {
+    const selectedSlots = input.selectedCourses[course] || []
+    const existingSlots = input.existingCourses?.[course] || []
+    return existingSlots.filter(
+      slot => !selectedSlots.some(s => s.day === slot.day && s.slot === slot.slot)
+    )
+  }
+
   /**
    * Analyze slot conflicts and suggest additional slots
    * @private
    */
   _analyzeSlotConflicts(input) {
     const hints = []
+    if (input.preventOverlaps === false) return hints // Conflicting slots are allowed
+    
     const slotConflicts = this._findSlotConflicts(input.selectedCourses)
     
     for (const conflict of slotConflicts) {
       // Check if existing courses have additional slots we could suggest
       const coursesInConflict = conflict.courses
       for (const course of coursesInConflict) {
-        const selectedSlots = input.selectedCourses[course] || []
-        const existingSlots = input.existingCourses?.[course] || []
-        const additionalSlots = existingSlots.filter(
-          slot => !selectedSlots.some(s => s.day === slot.day && s.slot === slot.slot)
-        )
+        const additionalSlots = this._getAdditionalSlots(input, course)
         
         if (additionalSlots.length > 0) {
+          const suggestedSlots = additionalSlots.slice(0, 3) // Suggest up to 3 additional slots
+          const metrics = this._measureHint({
+            ...input,
+            selectedCourses: {
+              ...input.selectedCourses,
+              [course]: [...input.selectedCourses[course], ...suggestedSlots]
+            }
+          })
           hints.push(new SchedulingHint(
             'add_slots',
-            `Enable additional time slots for "${course}" to resolve conflict`,
+            { code: 'Enable additional time slots for "{course}" to resolve conflict', params: { course } },
             {
               course,
-              suggestedSlots: additionalSlots.slice(0, 3), // Suggest up to 3 additional slots
+              suggestedSlots,
               conflictSlot: conflict.slot
             },
-            'High - directly resolves scheduling conflict'
+            'High - directly resolves scheduling conflict',
+            metrics
           ))
         }
       }
@@ -204,44 +657,186 @@ export class HintingSolver {
   }
 
   /**
-   * Analyze constraint conflicts and suggest relaxations
+   * Analyze start times excluded by the per-day whitelist and suggest enabling them
+   * @private
+   */
+  _analyzeUntickedTimeSlots(input) {
+    const hints = []
+    if (!input.perDayTimeSlots) return hints
+    
+    // Collect the start times of selected courses that are not ticked for their day
+    const untickedSlots = new Map()
+    for (const slots of Object.values(input.selectedCourses)) {
+      for (const slot of slots) {
+        const allowedSlots = input.perDayTimeSlots[slot.day]
+        if (allowedSlots && !allowedSlots.includes(slot.slot)) {
+          untickedSlots.set(`${slot.day}-${slot.slot}`, { day: slot.day, slot: slot.slot })
+        }
+      }
+    }
+    
+    // Test enabling each unticked start time on its own
+    for (const { day, slot } of untickedSlots.values()) {
+      const expandedInput = {
+        ...input,
+        perDayTimeSlots: {
+          ...input.perDayTimeSlots,
+          [day]: [...input.perDayTimeSlots[day], slot].sort((a, b) => a - b)
+        }
+      }
+      
+      const metrics = this._measureHint(expandedInput)
+      if (metrics.feasibleCount > 0) {
+        hints.push(new SchedulingHint(
+          'enable_time_slot',
+          { code: 'Enable the {time} time slot on {day}', params: { time: TimeSlot.formatTime(slot), day } },
+          {
+            day,
+            slot,
+            time: TimeSlot.formatTime(slot)
+          },
+          'High - a single unticked time slot enables a solution',
+          metrics
+        ))
+      }
+    }
+    
+    return hints
+  }
+
+  /**
+   * Suggest relaxations of the constraints in the conflict core
    * @private
+   * @param {Object} input - The original input
+   * @param {Array<Object>} conflict - Items of the minimal conflict
    */
-  _analyzeConstraintConflicts(input) {
+  _analyzeConstraintConflicts(input, conflict) {
     const hints = []
+    const inConflict = constraint => conflict.some(item => item.type === 'constraint' && item.constraint === constraint)
     
     // Test if relaxing max courses per day helps
-    if (input.maxCoursesPerDay) {
+    if (inConflict('maxCoursesPerDay')) {
       const relaxedInput = { ...input, maxCoursesPerDay: input.maxCoursesPerDay + 1 }
-      const solutionResult = this.baseSolver.findAllSolutions(relaxedInput, 1)
-      if (solutionResult.success && solutionResult.schedules.length > 0) {
+      const metrics = this._measureHint(relaxedInput)
+      if (metrics.feasibleCount > 0) {
         hints.push(new SchedulingHint(
           'relax_constraint',
-          `Allow ${input.maxCoursesPerDay + 1} courses per day (currently ${input.maxCoursesPerDay})`,
+          {
+            code: 'Allow {count} courses per day (currently {current})',
+            params: { count: input.maxCoursesPerDay + 1, current: input.maxCoursesPerDay }
+          },
           {
             constraint: 'maxCoursesPerDay',
             currentValue: input.maxCoursesPerDay,
             suggestedValue: input.maxCoursesPerDay + 1
           },
-          'Medium - may enable solution with slightly busier days'
+          'Medium - may enable solution with slightly busier days',
+          metrics
         ))
       }
     }
     
+    // Test the smallest rise of the weekly and rest-day limits that helps
+    for (const { constraint, upTo, hintCode, impact } of this._getRaisableLimits(input)) {
+      if (!inConflict(constraint)) continue
+      const current = input[constraint]
+      const base = Math.floor(current)
+      const count = Array.from({ length: upTo - base }, (_, index) => base + index + 1)
+        .find(limit => this._isFeasible({ ...input, [constraint]: limit }))
+      if (count === undefined) continue
+      hints.push(new SchedulingHint(
+        'relax_constraint',
+        { code: hintCode, params: { count, current } },
+        {
+          constraint,
+          currentValue: current,
+          suggestedValue: count
+        },
+        impact,
+        this._measureHint({ ...input, [constraint]: count })
+      ))
+    }
+    
     // Test if increasing max gap helps
-    if (input.maxEmptySlotsBetweenCourses !== undefined) {
+    if (inConflict('maxEmptySlotsBetweenCourses')) {
       const relaxedInput = { ...input, maxEmptySlotsBetweenCourses: input.maxEmptySlotsBetweenCourses + 2 }
-      const solutionResult = this.baseSolver.findAllSolutions(relaxedInput, 1)
-      if (solutionResult.success && solutionResult.schedules.length > 0) {
+      const metrics = this._measureHint(relaxedInput)
+      if (metrics.feasibleCount > 0) {
         hints.push(new SchedulingHint(
           'relax_constraint',
-          `Allow up to ${input.maxEmptySlotsBetweenCourses + 2} hour gaps between courses (currently ${input.maxEmptySlotsBetweenCourses})`,
+          {
+            code: 'Allow up to {hours} hour gaps between courses (currently {current})',
+            params: { hours: input.maxEmptySlotsBetweenCourses + 2, current: input.maxEmptySlotsBetweenCourses }
+          },
           {
             constraint: 'maxEmptySlotsBetweenCourses',
             currentValue: input.maxEmptySlotsBetweenCourses,
             suggestedValue: input.maxEmptySlotsBetweenCourses + 2
           },
-          'Low - allows longer breaks between courses'
+          'Low - allows longer breaks between courses',
+          metrics
+        ))
+      }
+    }
+    
+    // Test if allowing the same course twice per day helps
+    if (inConflict('noDuplicateCoursesPerDay')) {
+      const relaxedInput = { ...input, noDuplicateCoursesPerDay: false }
+      const metrics = this._measureHint(relaxedInput)
+      if (metrics.feasibleCount > 0) {
+        hints.push(new SchedulingHint(
+          'relax_constraint',
+          { code: 'Allow the same course more than once per day', params: {} },
+          {
+            constraint: 'noDuplicateCoursesPerDay',
+            currentValue: true,
+            suggestedValue: false
+          },
+          'Low - repeated sessions may fall on the same day',
+          metrics
+        ))
+      }
+    }
+    
+    // Test how much closer repetitions have to get, keeping as much spacing as possible
+    if (inConflict('minDaysBetweenRepetitions')) {
+      const current = input.minDaysBetweenRepetitions
+      const spacing = Array.from({ length: current }, (_, index) => current - index - 1)
+        .find(days => this._isFeasible({ ...input, minDaysBetweenRepetitions: days }))
+      if (spacing !== undefined) {
+        const metrics = this._measureHint({ ...input, minDaysBetweenRepetitions: spacing })
+        hints.push(new SchedulingHint(
+          'relax_constraint',
+          spacing > 0
+            ? { code: 'Allow repetitions {count} day(s) apart (currently {current})', params: { count: spacing, current } }
+            : { code: 'Allow repetitions on any days (currently {current} day(s) apart)', params: { current } },
+          {
+            constraint: 'minDaysBetweenRepetitions',
+            currentValue: current,
+            suggestedValue: spacing
+          },
+          'Low - repeated sessions move closer together',
+          metrics
+        ))
+      }
+    }
+    
+    // Test if widening the time window or opening up days helps
+    for (const candidates of this._getAvailabilityRelaxations(input)) {
+      if (!inConflict(candidates[0].constraint)) continue
+      const relaxation = candidates.find(candidate => this._isFeasible(candidate.input))
+      if (relaxation) {
+        const metrics = this._measureHint(relaxation.input)
+        hints.push(new SchedulingHint(
+          'relax_constraint',
+          relaxation.message,
+          {
+            constraint: relaxation.constraint,
+            currentValue: relaxation.currentValue,
+            suggestedValue: relaxation.suggestedValue
+          },
+          'Medium - uses course times outside your current availability',
+          metrics
         ))
       }
     }
@@ -249,6 +844,141 @@ export class HintingSolver {
     return hints
   }
 
+  /**
+   * List the weekly, rest-day and break limits of the input that can be raised
+   * 
+   * upTo is the highest value worth trying: a week has 7 days, and the
+   * courses cannot need more sessions or hours than all of them together.
+   * Sessions count every repetition of a course, and hours use the real
+   * course durations where known. The break rule only counts while it is
+   * not a mere preference.
+   * @private
+   * @returns {Array<Object>} Limits { constraint, upTo, hintCode, changeCode, impact }
+   */
+  _getRaisableLimits(input) {
+    const courseDurationMinutes = this.baseSolver.courseDurationMinutes
+    let totalSessions = 0
+    let totalHours = 0
+    for (const [course, slots] of Object.entries(input.selectedCourses)) {
+      const count = input.courseMultiplicity?.[course] || 1
+      totalSessions += count
+      totalHours += count * Math.max(0, ...slots.map(slot => ((slot.end ?? slot.slot + courseDurationMinutes) - slot.slot) / 60))
+    }
+    
+    return [
+      {
+        constraint: 'maxDaysPerWeek',
+        upTo: 7,
+        hintCode: 'Allow {count} dance days per week (currently {current})',
+        changeCode: 'Allow {count} dance days per week (was {current})',
+        impact: 'Medium - fewer recovery days'
+      },
+      {
+        constraint: 'maxConsecutiveDays',
+        upTo: 7,
+        hintCode: 'Allow {count} dance days in a row (currently {current})',
+        changeCode: 'Allow {count} dance days in a row (was {current})',
+        impact: 'Medium - fewer recovery days'
+      },
+      {
+        constraint: 'maxCoursesPerWeek',
+        upTo: totalSessions,
+        hintCode: 'Allow {count} courses per week (currently {current})',
+        changeCode: 'Allow {count} courses per week (was {current})',
+        impact: 'Medium - a busier week'
+      },
+      {
+        constraint: 'maxHoursPerWeek',
+        upTo: Math.ceil(totalHours),
+        hintCode: 'Allow {count} dance hours per week (currently {current})',
+        changeCode: 'Allow {count} dance hours per week (was {current})',
+        impact: 'Medium - a busier week'
+      },
+      ...(input.preferenceWeights?.restBreaks > 0 ? [] : [{
+        constraint: 'maxConsecutiveCourses',
+        upTo: totalSessions,
+        hintCode: 'Allow {count} courses in a row without a break (currently {current})',
+        changeCode: 'Allow {count} courses in a row without a break (was {current})',
+        impact: 'Medium - fewer breaks between courses'
+      }])
+    ].filter(limit => input[limit.constraint] > 0 && input[limit.constraint] < limit.upTo)
+  }
+
+  /**
+   * Collect candidate widenings of the time window and day restrictions
+   * 
+   * Returns one group per restriction that can be widened. Each group lists
+   * its candidates from the smallest change to the largest, so callers can
+   * pick the first candidate that makes the problem solvable.
+   * @private
+   */
+  _getAvailabilityRelaxations(input) {
+    const groups = []
+    const allSlots = Object.values(input.selectedCourses).flat()
+    const earliestStart = TimeSlot.parseTime(input.timeRange?.start)
+    const latestEnd = TimeSlot.parseTime(input.timeRange?.end)
+    
+    // Move the earliest start back to the start of an excluded course
+    if (earliestStart !== null) {
+      const earlierStarts = [...new Set(allSlots.map(slot => slot.slot))]
+        .filter(start => start < earliestStart)
+        .sort((a, b) => b - a)
+      groups.push(earlierStarts.map(start => ({
+        constraint: 'earliestTimeStr',
+        currentValue: input.timeRange.start,
+        suggestedValue: TimeSlot.formatTime(start),
+        ...describe('Allow courses starting at {time} (currently from {current})', {
+          time: TimeSlot.formatTime(start),
+          current: input.timeRange.start
+        }),
+        input: { ...input, timeRange: { ...input.timeRange, start: TimeSlot.formatTime(start) } }
+      })))
+    }
+    
+    // Move the latest end forward to the end of an excluded course
+    if (latestEnd !== null) {
+      const laterEnds = [...new Set(allSlots.map(slot => slot.end ?? slot.slot + this.baseSolver.courseDurationMinutes))]
+        .filter(end => end > latestEnd)
+        .sort((a, b) => a - b)
+      groups.push(laterEnds.map(end => ({
+        constraint: 'latestTimeStr',
+        currentValue: input.timeRange.end,
+        suggestedValue: TimeSlot.formatTime(end),
+        ...describe('Allow courses ending at {time} (currently until {current})', {
+          time: TimeSlot.formatTime(end),
+          current: input.timeRange.end
+        }),
+        input: { ...input, timeRange: { ...input.timeRange, end: TimeSlot.formatTime(end) } }
+      })))
+    }
+    
+    // Open up each day that has courses but is excluded
+    const daysWithCourses = [...new Set(allSlots.map(slot => slot.day))]
+    for (const day of daysWithCourses) {
+      if (input.blockedDays?.includes(day)) {
+        const blockedDays = input.blockedDays.filter(blocked => blocked !== day)
+        groups.push([{
+          constraint: 'blockedDays',
+          currentValue: input.blockedDays,
+          suggestedValue: blockedDays,
+          ...describe('Unblock {day} for courses', { day }),
+          input: { ...input, blockedDays }
+        }])
+      } else if (input.allowedDays && !input.allowedDays.includes(day)) {
+        const allowedDays = [...input.allowedDays, day]
+        groups.push([{
+          constraint: 'allowedDays',
+          currentValue: input.allowedDays,
+          suggestedValue: allowedDays,
+          ...describe('Allow courses on {day}', { day }),
+          input: { ...input, allowedDays }
+        }])
+      }
+    }
+    
+    return groups.filter(candidates => candidates.length > 0)
+  }
+
   /**
    * Analyze multiplicity issues and suggest reductions
    * @private
@@ -267,17 +997,21 @@ export class HintingSolver {
             }
           }
           
-          const solutionResult = this.baseSolver.findAllSolutions(reducedInput, 1)
-          if (solutionResult.success && solutionResult.schedules.length > 0) {
+          const metrics = this._measureHint(reducedInput)
+          if (metrics.feasibleCount > 0) {
             hints.push(new SchedulingHint(
               'reduce_multiplicity',
-              `Take "${course}" ${count - 1} times instead of ${count} times`,
+              {
+                code: 'Take "{course}" {count} times instead of {current} times',
+                params: { course, count: count - 1, current: count }
+              },
               {
                 course,
                 currentCount: count,
                 suggestedCount: count - 1
               },
-              'Medium - reduces time commitment while keeping the course'
+              'Medium - reduces time commitment while keeping the course',
+              metrics
             ))
           }
         }
@@ -288,30 +1022,32 @@ export class HintingSolver {
   }
 
   /**
-   * Analyze which courses could be removed to enable solution
+   * Analyze which courses of the conflict core could be removed to enable solution
    * @private
+   * @param {Object} input - The original input
+   * @param {Array<Object>} conflict - Items of the minimal conflict
    */
-  _analyzeCourseRemovalOptions(input) {
+  _analyzeCourseRemovalOptions(input, conflict) {
     const hints = []
-    const courseNames = Object.keys(input.selectedCourses)
+    const conflictCourses = conflict.filter(item => item.type === 'course').map(item => item.course)
     
-    // Test removing each course individually
-    for (const courseToRemove of courseNames) {
+    // Test removing each conflicting course individually
+    for (const courseToRemove of conflictCourses) {
       const reducedCourses = { ...input.selectedCourses }
       delete reducedCourses[courseToRemove]
       
       const reducedInput = { ...input, selectedCourses: reducedCourses }
-      const solutionResult = this.baseSolver.findAllSolutions(reducedInput, 1)
-      
-      if (solutionResult.success && solutionResult.schedules.length > 0) {
+      const metrics = this._measureHint(reducedInput)
+      if (metrics.feasibleCount > 0) {
         hints.push(new SchedulingHint(
           'remove_course',
-          `Consider removing "${courseToRemove}" to make scheduling possible`,
+          { code: 'Consider removing "{course}" to make scheduling possible', params: { course: courseToRemove } },
           {
             course: courseToRemove,
             remainingCourses: Object.keys(reducedCourses)
           },
-          'High - immediately enables solution for remaining courses'
+          'High - immediately enables solution for remaining courses',
+          metrics
         ))
       }
     }
@@ -354,56 +1090,244 @@ export class HintingSolver {
 
   /**
    * Find alternative solutions with relaxed constraints
+   * 
+   * Single relaxations come first. Only when none of them works, combinations
+   * of relaxations are searched, smallest total change first.
    * @private
    */
-  _findAlternativeSolutions(input, maxSolutions) {
+  _findAlternativeSolutions(input, maxSolutions, conflict) {
     const alternatives = []
+    const dimensions = this._getRelaxationDimensions(input)
     
     // Try relaxing each constraint type
-    alternatives.push(...this._tryRelaxedConstraints(input, maxSolutions))
-    alternatives.push(...this._tryReducedMultiplicity(input, maxSolutions))
-    alternatives.push(...this._tryWithAdditionalSlots(input, maxSolutions))
+    alternatives.push(...this._tryRelaxedConstraints(input, maxSolutions, dimensions))
+    alternatives.push(...this._tryReducedMultiplicity(input, maxSolutions, dimensions))
+    alternatives.push(...this._tryWithAdditionalSlots(input, maxSolutions, dimensions))
+    
+    if (alternatives.length === 0) {
+      alternatives.push(...this._tryCombinedRelaxations(input, maxSolutions, dimensions, conflict))
+    }
     
     return alternatives
   }
 
   /**
-   * Try solutions with relaxed constraints
+   * Collect the ways each part of the input can be relaxed
+   * 
+   * Every dimension relaxes one conflict item ('item' is its conflict item key)
+   * in steps of growing size. Step i changes the input by i + 1 units, which
+   * is the edit distance used to rank combined relaxations. Steps only carry
+   * plain data in 'change'; 'apply' relaxes an input that other steps may
+   * already have relaxed.
    * @private
+   * @returns {Array<Object>} Dimensions { item, steps: [{ change, apply }] }
    */
-  _tryRelaxedConstraints(input, maxSolutions) {
-    const alternatives = []
+  _getRelaxationDimensions(input) {
+    const dimensions = []
     
-    // Relax max courses per day
     if (input.maxCoursesPerDay) {
-      for (let extra = 1; extra <= 2; extra++) {
-        const relaxedInput = { ...input, maxCoursesPerDay: input.maxCoursesPerDay + extra }
-        const solutionResult = this.baseSolver.findAllSolutions(relaxedInput, Math.min(5, maxSolutions))
-        
-        if (solutionResult.success && solutionResult.schedules.length > 0) {
-          alternatives.push(new AlternativeSolution(
-            solutionResult.schedules,
-            'maxCoursesPerDay',
-            `Allow ${input.maxCoursesPerDay + extra} courses per day (was ${input.maxCoursesPerDay})`
-          ))
-          break // Only suggest the minimal relaxation that works
-        }
-      }
+      const current = input.maxCoursesPerDay
+      dimensions.push({
+        item: 'constraint:maxCoursesPerDay',
+        steps: [1, 2].map(extra => ({
+          change: {
+            constraint: 'maxCoursesPerDay',
+            currentValue: current,
+            suggestedValue: current + extra,
+            amount: extra,
+            ...describe('Allow {count} courses per day (was {current})', { count: current + extra, current })
+          },
+          apply: relaxed => ({ ...relaxed, maxCoursesPerDay: current + extra })
+        }))
+      })
+    }
+    
+    for (const { constraint, upTo, changeCode } of this._getRaisableLimits(input)) {
+      const current = input[constraint]
+      const base = Math.floor(current)
+      dimensions.push({
+        item: `constraint:${constraint}`,
+        steps: [1, 2].filter(extra => base + extra <= upTo).map(extra => ({
+          change: {
+            constraint,
+            currentValue: current,
+            suggestedValue: base + extra,
+            amount: extra,
+            ...describe(changeCode, { count: base + extra, current })
+          },
+          apply: relaxed => ({ ...relaxed, [constraint]: base + extra })
+        }))
+      })
     }
     
-    // Relax gap constraints
     if (input.maxEmptySlotsBetweenCourses !== undefined) {
-      for (let extra = 2; extra <= 6; extra += 2) {
-        const relaxedInput = { ...input, maxEmptySlotsBetweenCourses: input.maxEmptySlotsBetweenCourses + extra }
-        const solutionResult = this.baseSolver.findAllSolutions(relaxedInput, Math.min(5, maxSolutions))
-        
-        if (solutionResult.success && solutionResult.schedules.length > 0) {
-          alternatives.push(new AlternativeSolution(
-            solutionResult.schedules,
-            'maxEmptySlotsBetweenCourses',
-            `Allow ${input.maxEmptySlotsBetweenCourses + extra} hour gaps (was ${input.maxEmptySlotsBetweenCourses})`
-          ))
-          break
+      const current = input.maxEmptySlotsBetweenCourses
+      dimensions.push({
+        item: 'constraint:maxEmptySlotsBetweenCourses',
+        steps: [2, 4, 6].map((extra, index) => ({
+          change: {
+            constraint: 'maxEmptySlotsBetweenCourses',
+            currentValue: current,
+            suggestedValue: current + extra,
+            amount: index + 1,
+            ...describe('Allow {hours} hour gaps (was {current})', { hours: current + extra, current })
+          },
+          apply: relaxed => ({ ...relaxed, maxEmptySlotsBetweenCourses: current + extra })
+        }))
+      })
+    }
+    
+    if (input.noDuplicateCoursesPerDay) {
+      dimensions.push({
+        item: 'constraint:noDuplicateCoursesPerDay',
+        steps: [{
+          change: {
+            constraint: 'noDuplicateCoursesPerDay',
+            currentValue: true,
+            suggestedValue: false,
+            amount: 1,
+            ...describe('Allow the same course more than once per day')
+          },
+          apply: relaxed => ({ ...relaxed, noDuplicateCoursesPerDay: false })
+        }]
+      })
+    }
+    
+    if (input.minDaysBetweenRepetitions > 0) {
+      const current = input.minDaysBetweenRepetitions
+      dimensions.push({
+        item: 'constraint:minDaysBetweenRepetitions',
+        steps: Array.from({ length: current }, (_, index) => {
+          const days = current - index - 1
+          return {
+            change: {
+              constraint: 'minDaysBetweenRepetitions',
+              currentValue: current,
+              suggestedValue: days,
+              amount: index + 1,
+              ...(days > 0
+                ? describe('Allow repetitions {count} day(s) apart (was {current})', { count: days, current })
+                : describe('Allow repetitions on any days (was {current} day(s) apart)', { current }))
+            },
+            apply: relaxed => ({ ...relaxed, minDaysBetweenRepetitions: days })
+          }
+        })
+      })
+    }
+    
+    // Relaxed day lists are merged, so several days can be opened up together
+    const applyAvailability = {
+      earliestTimeStr: (relaxed, value) => ({ ...relaxed, timeRange: { ...relaxed.timeRange, start: value } }),
+      latestTimeStr: (relaxed, value) => ({ ...relaxed, timeRange: { ...relaxed.timeRange, end: value } }),
+      blockedDays: (relaxed, value) => ({ ...relaxed, blockedDays: relaxed.blockedDays.filter(day => value.includes(day)) }),
+      allowedDays: (relaxed, value) => ({ ...relaxed, allowedDays: [...new Set([...relaxed.allowedDays, ...value])] })
+    }
+    for (const candidates of this._getAvailabilityRelaxations(input)) {
+      dimensions.push({
+        item: `constraint:${candidates[0].constraint}`,
+        steps: candidates.map((candidate, index) => ({
+          change: {
+            constraint: candidate.constraint,
+            currentValue: candidate.currentValue,
+            suggestedValue: candidate.suggestedValue,
+            amount: index + 1,
+            message: candidate.message,
+            description: candidate.description
+          },
+          apply: relaxed => applyAvailability[candidate.constraint](relaxed, candidate.suggestedValue)
+        }))
+      })
+    }
+    
+    for (const [course, count] of Object.entries(input.courseMultiplicity || {})) {
+      if (count <= 1 || !input.selectedCourses[course]) continue
+      dimensions.push({
+        item: `multiplicity:${course}`,
+        steps: Array.from({ length: count - 1 }, (_, index) => ({
+          change: {
+            constraint: 'courseMultiplicity',
+            course,
+            currentValue: count,
+            suggestedValue: count - index - 1,
+            amount: index + 1,
+            ...describe('Take "{course}" {count} times (was {current} times)', {
+              course,
+              count: count - index - 1,
+              current: count
+            })
+          },
+          apply: relaxed => ({
+            ...relaxed,
+            courseMultiplicity: { ...relaxed.courseMultiplicity, [course]: count - index - 1 }
+          })
+        }))
+      })
+    }
+    
+    for (const course of Object.keys(input.selectedCourses)) {
+      const additionalSlots = this._getAdditionalSlots(input, course)
+      if (additionalSlots.length === 0) continue
+      dimensions.push({
+        item: `slots:${course}`,
+        steps: [{
+          change: {
+            constraint: 'additionalSlots',
+            course,
+            currentValue: input.selectedCourses[course],
+            suggestedValue: additionalSlots,
+            amount: 1,
+            ...describe('Enable {count} additional time slot(s) for "{course}"', { course, count: additionalSlots.length })
+          },
+          apply: relaxed => ({
+            ...relaxed,
+            selectedCourses: {
+              ...relaxed.selectedCourses,
+              [course]: [...relaxed.selectedCourses[course], ...additionalSlots]
+            }
+          })
+        }]
+      })
+    }
+    
+    return dimensions
+  }
+
+  /**
+   * Solve the input relaxed by the given steps
+   * @private
+   * @returns {AlternativeSolution|null} The alternative, or null if still infeasible
+   */
+  _tryRelaxationSteps(input, maxSolutions, steps, relaxedConstraint) {
+    const relaxedInput = steps.reduce((relaxed, step) => step.apply(relaxed), input)
+    const solutionResult = this.baseSolver.findAllSolutions(relaxedInput, Math.min(5, maxSolutions))
+    if (!solutionResult.success || solutionResult.schedules.length === 0) return null
+    
+    const changes = steps.map(step => step.change)
+    return new AlternativeSolution(
+      solutionResult.schedules,
+      relaxedConstraint,
+      changes.length === 1
+        ? changes[0].message
+        : { code: '{changes}', params: { changes: changes.map(change => change.message) } },
+      changes
+    )
+  }
+
+  /**
+   * Try solutions with relaxed constraints
+   * @private
+   */
+  _tryRelaxedConstraints(input, maxSolutions, dimensions) {
+    const alternatives = []
+    
+    // Use the smallest relaxation of each constraint that works
+    for (const dimension of dimensions) {
+      if (!dimension.item.startsWith('constraint:')) continue
+      for (const step of dimension.steps) {
+        const alternative = this._tryRelaxationSteps(input, maxSolutions, [step], step.change.constraint)
+        if (alternative) {
+          alternatives.push(alternative)
+          break // Only suggest the minimal relaxation that works
         }
       }
     }
@@ -415,29 +1339,14 @@ export class HintingSolver {
    * Try solutions with reduced multiplicity
    * @private
    */
-  _tryReducedMultiplicity(input, maxSolutions) {
+  _tryReducedMultiplicity(input, maxSolutions, dimensions) {
     const alternatives = []
     
-    if (input.courseMultiplicity) {
-      for (const [course, count] of Object.entries(input.courseMultiplicity)) {
-        if (count > 1) {
-          const reducedInput = {
-            ...input,
-            courseMultiplicity: {
-              ...input.courseMultiplicity,
-              [course]: count - 1
-            }
-          }
-          
-          const solutionResult = this.baseSolver.findAllSolutions(reducedInput, Math.min(5, maxSolutions))
-          if (solutionResult.success && solutionResult.schedules.length > 0) {
-            alternatives.push(new AlternativeSolution(
-              solutionResult.schedules,
-              'courseMultiplicity',
-              `Take "${course}" ${count - 1} times (was ${count} times)`
-            ))
-          }
-        }
+    for (const dimension of dimensions) {
+      if (!dimension.item.startsWith('multiplicity:')) continue
+      const alternative = this._tryRelaxationSteps(input, maxSolutions, [dimension.steps[0]], 'courseMultiplicity')
+      if (alternative) {
+        alternatives.push(alternative)
       }
     }
     
@@ -448,34 +1357,55 @@ export class HintingSolver {
    * Try solutions with additional slots from existing courses
    * @private
    */
-  _tryWithAdditionalSlots(input, maxSolutions) {
+  _tryWithAdditionalSlots(input, maxSolutions, dimensions) {
     const alternatives = []
     
-    if (input.existingCourses) {
-      // Try enabling all available slots for each course
-      for (const [course, existingSlots] of Object.entries(input.existingCourses)) {
-        const selectedSlots = input.selectedCourses[course] || []
-        const additionalSlots = existingSlots.filter(
-          slot => !selectedSlots.some(s => s.day === slot.day && s.slot === slot.slot)
-        )
+    // Try enabling all available slots for each course
+    for (const dimension of dimensions) {
+      if (!dimension.item.startsWith('slots:')) continue
+      const alternative = this._tryRelaxationSteps(input, maxSolutions, dimension.steps, 'additionalSlots')
+      if (alternative) {
+        alternatives.push(alternative)
+      }
+    }
+    
+    return alternatives
+  }
+
+  /**
+   * Try combinations of relaxations, smallest total change first
+   * 
+   * A combination is only tried if it relaxes part of the conflict core
+   * (otherwise that conflict remains) and does not contain a smaller
+   * combination that already works, so every alternative is minimal.
+   * @private
+   */
+  _tryCombinedRelaxations(input, maxSolutions, dimensions, conflict) {
+    const alternatives = []
+    const coreItems = new Set(conflict.map(conflictItemKey))
+    const maxLevels = dimensions.map(dimension => dimension.steps.length)
+    const solvedLevels = []
+    let checks = 0
+    
+    for (let totalChange = 1; totalChange <= MAX_COMBINED_CHANGE; totalChange++) {
+      // Among equal total changes, prefer fewer separate changes
+      const combinations = [...distributeChange(maxLevels, totalChange)]
+        .sort((a, b) => countChanged(a) - countChanged(b))
+      
+      for (const levels of combinations) {
+        if (alternatives.length >= MAX_COMBINED_ALTERNATIVES || checks >= MAX_COMBINATION_CHECKS) {
+          return alternatives
+        }
+        if (!levels.some((level, index) => level > 0 && coreItems.has(dimensions[index].item))) continue
+        if (solvedLevels.some(solved => solved.every((level, index) => level <= levels[index]))) continue
         
-        if (additionalSlots.length > 0) {
-          const expandedInput = {
-            ...input,
-            selectedCourses: {
-              ...input.selectedCourses,
-              [course]: [...selectedSlots, ...additionalSlots]
-            }
-          }
-          
-          const solutionResult = this.baseSolver.findAllSolutions(expandedInput, Math.min(5, maxSolutions))
-          if (solutionResult.success && solutionResult.schedules.length > 0) {
-            alternatives.push(new AlternativeSolution(
-              solutionResult.schedules,
-              'additionalSlots',
-              `Enable ${additionalSlots.length} additional time slot(s) for "${course}"`
-            ))
-          }
+        const steps = levels.flatMap((level, index) => level > 0 ? [dimensions[index].steps[level - 1]] : [])
+        const relaxedConstraint = steps.length === 1 ? steps[0].change.constraint : 'combined'
+        checks++
+        const alternative = this._tryRelaxationSteps(input, maxSolutions, steps, relaxedConstraint)
+        if (alternative) {
+          solvedLevels.push(levels)
+          alternatives.push(alternative)
         }
       }
     }
@@ -489,12 +1419,14 @@ export class HintingSolver {
    */
   _getHintPriority(type) {
     const priorities = {
+      'conflict': 0,
       'add_slots': 1,
-      'reduce_multiplicity': 2,
-      'relax_constraint': 3,
-      'remove_course': 4
+      'enable_time_slot': 2,
+      'reduce_multiplicity': 3,
+      'relax_constraint': 4,
+      'remove_course': 5
     }
-    return priorities[type] || 5
+    return priorities[type] ?? 6
   }
 }
 
@@ -0,0 +1,125 @@
+/**
+ * Suggestion utilities for the dance course planner
+ *
+ * Turn the hints and alternatives of the HintingSolver into changes of the
+ * constraint state, so suggestions can be applied with one click.
+ */
+
+/**
+ * Constraint state keys a suggestion may change
+ */
+export const SUGGESTION_STATE_KEYS = [
+  'selectedCourseNames',
+  'courseMultiplicity',
+  'maxCoursesPerDay',
+  'maxCoursesPerWeek',
+  'maxHoursPerWeek',
+  'maxDaysPerWeek',
+  'maxConsecutiveDays',
+  'maxConsecutiveCourses',
+  'maxTimeBetweenCourses',
+  'noDuplicateCoursesPerDay',
+  'minDaysBetweenRepetitions',
+  'earliestTimeStr',
+  'latestTimeStr',
+  'allowedDays',
+  'blockedDays',
+  'perDayTimeSlots'
+]
+
+/**
+ * Get the changes a hint applies, in the format of AlternativeSolution.changes
+ * @param {Object} hint - SchedulingHint with type and modification
+ * @returns {Array<Object>} Changes ({ constraint, course?, day?, slot?, suggestedValue? }); empty if the hint cannot be applied
+ */
+export function getHintChanges(hint) {
+  const modification = hint.modification || {}
+  switch (hint.type) {
+    case 'relax_constraint':
+      return [{ constraint: modification.constraint, suggestedValue: modification.suggestedValue }]
+    case 'reduce_multiplicity':
+      return [{ constraint: 'courseMultiplicity', course: modification.course, suggestedValue: modification.suggestedCount }]
+    case 'remove_course':
+      return [{ constraint: 'removeCourse', course: modification.course }]
+    case 'enable_time_slot':
+      return [{ constraint: 'perDayTimeSlots', day: modification.day, slot: modification.slot }]
+    default:
+      return []
+  }
+}
+
+/**
+ * Build the constraint state update for a list of changes
+ * @param {Object} constraints - Current constraint state
+ * @param {Array<Object>} changes - Changes of a hint or alternative
+ * @param {Function} [dayKey] - Maps solver day codes to perDayTimeSlots keys
+ * @returns {Object|null} Partial constraint state to assign, or null if a change cannot be applied
+ */
+export function getConstraintPatch(constraints, changes, dayKey = day => day) {
+  if (!changes || changes.length === 0) return null
+
+  const patch = {}
+  const current = key => patch[key] ?? constraints[key]
+
+  for (const change of changes) {
+    switch (change.constraint) {
+      case 'maxCoursesPerDay':
+      case 'maxCoursesPerWeek':
+      case 'maxHoursPerWeek':
+      case 'maxDaysPerWeek':
+      case 'maxConsecutiveDays':
+      case 'maxConsecutiveCourses':
+      case 'noDuplicateCoursesPerDay':
+      case 'minDaysBetweenRepetitions':
+      case 'earliestTimeStr':
+      case 'latestTimeStr':
+        patch[change.constraint] = change.suggestedValue
+        break
+      case 'allowedDays':
+      case 'blockedDays':
+        patch[change.constraint] = [...change.suggestedValue]
+        break
+      case 'maxEmptySlotsBetweenCourses':
+        // The solver's gap limit is the maxTimeBetweenCourses setting
+        patch.maxTimeBetweenCourses = change.suggestedValue
+        break
+      case 'courseMultiplicity':
+        patch.courseMultiplicity = { ...current('courseMultiplicity'), [change.course]: change.suggestedValue }
+        break
+      case 'removeCourse': {
+        patch.selectedCourseNames = current('selectedCourseNames').filter(name => name !== change.course)
+        const courseMultiplicity = { ...current('courseMultiplicity') }
+        delete courseMultiplicity[change.course]
+        patch.courseMultiplicity = courseMultiplicity
+        break
+      }
+      case 'perDayTimeSlots': {
+        const perDayTimeSlots = current('perDayTimeSlots') || {}
+        const key = dayKey(change.day)
+        const daySlots = new Set([...(perDayTimeSlots[key] || []), change.slot])
+        patch.perDayTimeSlots = { ...perDayTimeSlots, [key]: [...daySlots].sort((a, b) => a - b) }
+        break
+      }
+      default:
+        // e.g. additional slots: nothing in the constraint state selects single slots
+        return null
+    }
+  }
+
+  return patch
+}
+
+/**
+ * Copy the parts of the constraint state a suggestion may change
+ * @param {Object} constraints - Current constraint state
+ * @returns {Object} Deep copy of the suggestion state keys
+ */
+export function snapshotSuggestionState(constraints) {
+  const snapshot = {}
+  for (const key of SUGGESTION_STATE_KEYS) {
+    if (constraints[key] !== undefined) {
+      snapshot[key] = JSON.parse(JSON.stringify(constraints[key]))
+    }
+  }
+  return snapshot
+}
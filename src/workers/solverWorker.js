@@ -0,0 +1,151 @@
+/**
+ * Web Worker running the HintingSolver off the main thread
+ *
+ * Messages from the main thread:
+ * - { type: 'start', id, input, options } - solve input; options are passed to the
+ *   HintingSolver constructor, plus maxSolutions for solve()
+ * - { type: 'more', id, count } - next count schedules of the successful run id
+ *
+ * Messages to the main thread:
+ * - { type: 'progress', id, phase, nodesExplored, solutionsFound }
+ * - { type: 'result', id, result } - the HintingSolver.solve() result
+ * - { type: 'page', id, schedules, done } - further schedules, not repeating earlier ones; in
+ *   'best' and 'diverse' mode the next ones of the ranking
+ * - { type: 'error', id, message }
+ *
+ * The search runs synchronously and cannot be interrupted by messages, so
+ * clients cancel a run by terminating the worker.
+ */
+
+import { HintingSolver } from '../hintingSolver.js'
+import { DeclarativeConstraintSolver } from '../declarativeConstraintSolver.js'
+
+const scheduleKey = solution => JSON.stringify(solution.schedule)
+
+// Ranked searches of the modes whose pages continue a ranking, by search mode
+const RANKED_SEARCHES = {
+  best: (solver, input, k) => solver.findBestSolutions(input, k),
+  diverse: (solver, input, k) => solver.findDiverseSolutions(input, k)
+}
+
+/**
+ * Take the next count schedules of a paging session, skipping ones already sent
+ *
+ * In 'first' mode the pages resume the still open search of the run itself.
+ * In the ranked modes they continue the ranking instead: they come from a
+ * ranked result kept in the session, which is searched again for at least
+ * twice as many schedules whenever it runs short. The Pareto front of
+ * 'pareto' mode is already complete.
+ * @param {Object} session - { solver, input, iterator, ranking, seen, done }
+ * @param {number} count - Maximum schedules to take
+ * @returns {Array} Solution objects
+ */
+function takePage(session, count) {
+  if (session.ranking) return takeRankedPage(session, count)
+
+  const schedules = []
+  while (schedules.length < count) {
+    const next = session.iterator.next()
+    if (next.done) {
+      session.done = true
+      break
+    }
+    const key = scheduleKey(next.value)
+    if (session.seen.has(key)) continue
+    session.seen.add(key)
+    schedules.push(next.value)
+  }
+  return schedules
+}
+
+/**
+ * Take the next count schedules of the ranked result of a session, best ranked first
+ * @param {Object} session - Paging session with ranking { search, k, schedules, complete }
+ * @param {number} count - Maximum schedules to take
+ * @returns {Array} Solution objects
+ */
+function takeRankedPage(session, count) {
+  const { ranking } = session
+  const unseen = () => ranking.schedules.filter(solution => !session.seen.has(scheduleKey(solution)))
+  if (unseen().length < count && !ranking.complete) {
+    ranking.k = Math.max(session.seen.size + count, 2 * ranking.k)
+    const result = ranking.search(session.solver, session.input, ranking.k)
+    ranking.schedules = result.schedules
+    ranking.complete = result.schedules.length < ranking.k
+  }
+
+  const schedules = unseen().slice(0, count)
+  schedules.forEach(solution => session.seen.add(scheduleKey(solution)))
+  session.done = ranking.complete && unseen().length === 0
+  return schedules
+}
+
+/**
+ * Create the message handler of the solver worker
+ * @param {Function} postMessage - Sends a message to the main thread
+ * @returns {Function} Handler taking the received message data
+ */
+export function createSolverMessageHandler(postMessage) {
+  let session = null // Paging state of the latest successful run
+
+  return (message) => {
+    const { type, id } = message
+
+    if (type === 'more') {
+      if (!session || session.id !== id) {
+        postMessage({ type: 'error', id, message: `No schedules to page through for run ${id}` })
+        return
+      }
+      try {
+        const schedules = takePage(session, message.count || 20)
+        postMessage({ type: 'page', id, schedules, done: session.done })
+      } catch (err) {
+        postMessage({ type: 'error', id, message: err.message })
+      }
+      return
+    }
+
+    if (type !== 'start') {
+      postMessage({ type: 'error', id, message: `Unknown message type: ${type}` })
+      return
+    }
+
+    const { maxSolutions = 20, ...solverOptions } = message.options || {}
+    session = null
+    try {
+      const solver = new HintingSolver({
+        ...solverOptions,
+        onProgress: progress => postMessage({ type: 'progress', id, ...progress })
+      })
+      const result = solver.solve(message.input, maxSolutions)
+      if (result.success) {
+        // Later pages resume the search of this run ('first' mode) or continue
+        // its ranking (other modes), skipping the schedules of this result
+        const mode = solverOptions.searchMode
+        session = {
+          id,
+          solver: new DeclarativeConstraintSolver({ ...solverOptions, onProgress: null }),
+          input: message.input,
+          iterator: solver.remainingSolutions,
+          ranking: solver.remainingSolutions ? null : {
+            search: RANKED_SEARCHES[mode],
+            k: maxSolutions,
+            schedules: result.schedules,
+            complete: !RANKED_SEARCHES[mode] || result.schedules.length < maxSolutions
+          },
+          seen: new Set(result.schedules.map(scheduleKey)),
+          done: false
+        }
+      }
+      postMessage({ type: 'result', id, result })
+    } catch (err) {
+      postMessage({ type: 'error', id, message: err.message })
+    }
+  }
+}
+
+// Only wire up the handler when loaded as a worker (not when imported by tests)
+if (typeof self !== 'undefined' && typeof window === 'undefined' && typeof self.postMessage === 'function') {
+  const handleMessage = createSolverMessageHandler(message => self.postMessage(message))
+  self.onmessage = event => handleMessage(event.data)
+}
@@ -23,7 +23,11 @@ const testFiles = [
   'test-solution-enumeration.js',
   'test-output-structure.js',
   'test-hinting-solver.js',
-  'test-single-course-gap.js'
+  'test-single-course-gap.js',
+  'test-solver-worker.js',
+  'test-suggestion-utils.js',
+  'test-comprehensive-alternatives.js',
+  'test-enhanced-suggestions.js'
 ]
 
 let totalTests = 0
@@ -288,6 +288,99 @@ const integrationResult = measurePerformance(() => {
 assert.ok(integrationResult.schedule, 'Integration test should find a solution')
 console.log(`Integration test solution quality score: ${integrationResult.score}`)
 
+// Test 11: Search heuristics benchmark
+console.log('📋 Test 11: Search Heuristics Benchmark (before/after)')
+
+function createCourseSlot(day, hour) {
+  return { ...createTimeSlot(day, hour), end: (hour + 1) * 60 }
+}
+
+const benchmarkDays = ['MO', 'DI', 'MI', 'DO', 'FR', 'SA']
+
+// Six courses on six evenings, one course per evening; the last two courses are nearly fixed
+const oneEveningEach = {}
+for (let c = 1; c <= 6; c++) {
+  oneEveningEach[`Course ${c}`] = benchmarkDays.flatMap(day => [18, 19, 20].map(hour => createCourseSlot(day, hour)))
+}
+oneEveningEach['Course 5'] = [createCourseSlot('SA', 18), createCourseSlot('FR', 18)]
+oneEveningEach['Course 6'] = [createCourseSlot('SA', 19)]
+
+// Six courses with multiplicities spread over the week
+const withMultiplicities = {}
+const danceStyles = ['Salsa', 'Tango', 'Ballroom', 'Bachata', 'Swing', 'Latin']
+danceStyles.forEach((style, c) => {
+  withMultiplicities[style] = []
+  benchmarkDays.forEach((day, i) => {
+    if ((i + c) % 2 === 0) withMultiplicities[style].push(createCourseSlot(day, 18 + (c % 3)))
+    if ((i + c) % 3 === 0) withMultiplicities[style].push(createCourseSlot(day, 19 + (c % 2)))
+  })
+})
+
+const benchmarkScenarios = [
+  {
+    name: 'One evening per course',
+    input: { selectedCourses: oneEveningEach, maxCoursesPerDay: 1 }
+  },
+  {
+    name: 'Six courses with multiplicities',
+    input: {
+      selectedCourses: withMultiplicities,
+      maxCoursesPerDay: 2,
+      noDuplicateCoursesPerDay: true,
+      courseMultiplicity: { Salsa: 2, Tango: 2 }
+    }
+  },
+  {
+    name: 'Infeasible private lessons',
+    input: {
+      // Two private lessons at the same time, listed last
+      selectedCourses: {
+        ...withMultiplicities,
+        'Private Lesson A': [createCourseSlot('MO', 21)],
+        'Private Lesson B': [createCourseSlot('MO', 21)]
+      },
+      maxCoursesPerDay: 2,
+      noDuplicateCoursesPerDay: true,
+      courseMultiplicity: { Salsa: 2, Tango: 2 }
+    }
+  },
+  {
+    name: 'Infeasible gap limit',
+    input: {
+      // Seven courses on five evenings: some evening holds two courses, always three hours apart
+      selectedCourses: Object.fromEntries(Array.from({ length: 7 }, (_, c) => [
+        `Course ${c + 1}`,
+        benchmarkDays.slice(0, 5).flatMap(day => [18, 21].map(hour => createCourseSlot(day, hour)))
+      ])),
+      maxCoursesPerDay: 2,
+      maxEmptySlotsBetweenCourses: 1
+    }
+  }
+]
+
+const benchmarkRows = []
+for (const scenario of benchmarkScenarios) {
+  const runs = {}
+  for (const [mode, searchHeuristics] of [['before', false], ['after', true]]) {
+    const benchmarkSolver = new DeclarativeConstraintSolver({ searchHeuristics })
+    const result = benchmarkSolver.findAllSolutions(scenario.input, 100000)
+    runs[mode] = { solutions: result.schedules.length, ...benchmarkSolver.getSearchStats() }
+  }
+
+  assert.strictEqual(runs.after.solutions, runs.before.solutions, `${scenario.name}: heuristics must find the same solutions`)
+  assert.ok(runs.after.nodesExplored <= runs.before.nodesExplored, `${scenario.name}: heuristics should not explore more nodes`)
+
+  benchmarkRows.push({
+    scenario: scenario.name,
+    solutions: runs.after.solutions,
+    'nodes before': runs.before.nodesExplored,
+    'nodes after': runs.after.nodesExplored,
+    'ms before': runs.before.durationMs.toFixed(1),
+    'ms after': runs.after.durationMs.toFixed(1)
+  })
+}
+console.table(benchmarkRows)
+
 console.log('\n🎯 Advanced Stress Test Summary:')
 console.log('✅ Massive combinatorial problems handled efficiently')
 console.log('✅ Extreme constraints resolved correctly')  
@@ -299,6 +392,7 @@ console.log('✅ Memory stress tests passed')
 console.log('✅ Edge cases handled properly')
 console.log('✅ Solution quality scoring validated')
 console.log('✅ Comprehensive integration successful')
+console.log('✅ Search heuristics benchmarked against plain backtracking')
 
 console.log('\n🚀 Solver performance verified under extreme conditions!')
 console.log('💪 Ready for any real-world scheduling challenge!')
@@ -0,0 +1,236 @@
+import assert from 'assert'
+import { AlternativeSolutionGenerator, NearMissSchedule } from '../src/alternativeSolutionGenerator.js'
+
+function createTimeSlot(day, hour, minute = 0) {
+  return { day, slot: hour * 60 + minute }
+}
+
+function describeSchedule(nearMiss) {
+  return Object.fromEntries(Object.entries(nearMiss.schedule.schedule)
+    .map(([course, slots]) => [course, slots.map(slot => `${slot.day} ${slot.slot}`)]))
+}
+
+console.log('🧪 Near-Miss Schedule Tests')
+
+const generator = new AlternativeSolutionGenerator()
+
+// Case 1: One course on a blocked day, naming the day that is used
+{
+  const nearMisses = generator.generate({
+    selectedCourses: {
+      'Course A': [createTimeSlot('MO', 18)],
+      'Course B': [createTimeSlot('SA', 18), createTimeSlot('SO', 18)]
+    },
+    blockedDays: ['SA', 'SO']
+  })
+  assert.strictEqual(nearMisses.length, 2, 'Each blocked day gives one near miss')
+  assert.ok(nearMisses.every(nearMiss => nearMiss instanceof NearMissSchedule))
+  assert.deepStrictEqual(nearMisses.map(nearMiss => nearMiss.violation.description), [
+    '1 course(s) on blocked SA',
+    '1 course(s) on blocked SO'
+  ])
+  assert.ok(nearMisses.every(nearMiss => nearMiss.violation.constraint === 'blockedDays' && nearMiss.violation.amount === 1))
+}
+
+// Case 2: Courses outside the allowed days
+{
+  const nearMisses = generator.generate({
+    selectedCourses: {
+      'Course A': [createTimeSlot('MO', 18)],
+      'Course B': [createTimeSlot('FR', 18)]
+    },
+    allowedDays: ['MO', 'DI']
+  })
+  assert.strictEqual(nearMisses.length, 1)
+  assert.strictEqual(nearMisses[0].violation.description, '1 course(s) on FR, outside the allowed days')
+}
+
+// Case 3: The smallest extra gap wins over larger ones
+{
+  const nearMisses = generator.generate({
+    selectedCourses: {
+      'Course A': [createTimeSlot('MO', 18)],
+      'Course B': [createTimeSlot('MO', 19, 10), createTimeSlot('MO', 21, 30)]
+    },
+    maxEmptySlotsBetweenCourses: 0
+  })
+  assert.strictEqual(nearMisses.length, 1, 'Only the shorter gap is a near miss')
+  assert.deepStrictEqual(describeSchedule(nearMisses[0]), { 'Course A': ['MO 1080'], 'Course B': ['MO 1150'] })
+  assert.strictEqual(nearMisses[0].violation.unit, 'hours')
+  assert.strictEqual(nearMisses[0].violation.amount, 1.17, 'One course duration of gap (70 minutes)')
+}
+
+// Case 4: One course more per day than allowed
+{
+  const nearMisses = generator.generate({
+    selectedCourses: {
+      'Course A': [createTimeSlot('MO', 18)],
+      'Course B': [createTimeSlot('MO', 19, 10)],
+      'Course C': [createTimeSlot('MO', 20, 20)]
+    },
+    maxCoursesPerDay: 2
+  })
+  assert.strictEqual(nearMisses.length, 1)
+  assert.deepStrictEqual(nearMisses[0].violation, {
+    constraint: 'maxCoursesPerDay',
+    amount: 1,
+    unit: 'courses',
+    message: { code: '{amount} course(s) more than {limit} on one day', params: { amount: 1, limit: 2 } },
+    description: '1 course(s) more than 2 on one day'
+  })
+}
+
+// Case 5: Earliest start and latest end are missed by the fewest minutes
+{
+  const early = generator.generate({
+    selectedCourses: {
+      'Course A': [createTimeSlot('MO', 17), createTimeSlot('MO', 17, 30)],
+      'Course B': [createTimeSlot('DI', 19)]
+    },
+    timeRange: { start: '18:00', end: '' }
+  })
+  assert.strictEqual(early.length, 1)
+  assert.strictEqual(early[0].violation.description, 'Starts 30 minutes before 18:00')
+  assert.deepStrictEqual(describeSchedule(early[0])['Course A'], ['MO 1050'])
+
+  const late = generator.generate({
+    selectedCourses: {
+      'Course A': [{ day: 'MO', slot: 1080, end: 1150 }],
+      'Course B': [{ day: 'DI', slot: 1200, end: 1290 }, { day: 'MI', slot: 1200, end: 1320 }]
+    },
+    timeRange: { start: '', end: '21:00' }
+  })
+  assert.strictEqual(late.length, 1)
+  assert.strictEqual(late[0].violation.description, 'Ends 30 minutes after 21:00')
+  assert.strictEqual(late[0].violation.unit, 'minutes')
+}
+
+// Case 6: Same course twice on one day, and unticked start times
+{
+  const duplicate = generator.generate({
+    selectedCourses: {
+      'Course A': [createTimeSlot('MO', 18), createTimeSlot('MO', 20)]
+    },
+    courseMultiplicity: { 'Course A': 2 },
+    noDuplicateCoursesPerDay: true
+  })
+  assert.strictEqual(duplicate.length, 1)
+  assert.strictEqual(duplicate[0].violation.description, '1 course(s) twice on the same day')
+
+  const unticked = generator.generate({
+    selectedCourses: {
+      'Course A': [createTimeSlot('MO', 18), createTimeSlot('MO', 19)]
+    },
+    perDayTimeSlots: { MO: [] }
+  })
+  assert.strictEqual(unticked.length, 2, 'Each unticked start time gives one near miss')
+  assert.ok(unticked.every(nearMiss => nearMiss.violation.description === '1 course(s) at unticked start times'))
+}
+
+// Case 7: Near misses break exactly one constraint
+{
+  const input = {
+    selectedCourses: {
+      'Course A': [createTimeSlot('MO', 18), createTimeSlot('SA', 18)],
+      'Course B': [createTimeSlot('MO', 19, 10), createTimeSlot('SA', 19, 10)]
+    },
+    maxCoursesPerDay: 1,
+    blockedDays: ['SA']
+  }
+  const nearMisses = generator.generate(input)
+  assert.deepStrictEqual(
+    nearMisses.map(nearMiss => nearMiss.violation.constraint),
+    ['maxCoursesPerDay', 'blockedDays', 'blockedDays']
+  )
+
+  // Raising the limit keeps Saturday blocked, unblocking Saturday keeps one course per day
+  assert.deepStrictEqual(describeSchedule(nearMisses[0]), { 'Course A': ['MO 1080'], 'Course B': ['MO 1150'] })
+  for (const nearMiss of nearMisses.slice(1)) {
+    const slots = Object.values(describeSchedule(nearMiss)).flat()
+    assert.deepStrictEqual(slots.map(slot => slot.slice(0, 2)).sort(), ['MO', 'SA'])
+  }
+}
+
+// Case 8: Nothing breaks only one constraint
+{
+  const nearMisses = generator.generate({
+    selectedCourses: {
+      'Course A': [createTimeSlot('MO', 18), createTimeSlot('MO', 19)],
+      'Course B': [createTimeSlot('MO', 20)]
+    },
+    courseMultiplicity: { 'Course A': 2 },
+    maxCoursesPerDay: 1,
+    noDuplicateCoursesPerDay: true
+  })
+  assert.deepStrictEqual(nearMisses, [], 'Both the limit and the duplicate rule would have to break')
+}
+
+// Case 9: Weekly caps, rest days, the break rule, spacing and course links
+{
+  const describe = input => generator.generate(input).map(nearMiss => nearMiss.violation.description)
+  const threeDays = {
+    'Course A': [createTimeSlot('MO', 18)],
+    'Course B': [createTimeSlot('DI', 18)],
+    'Course C': [createTimeSlot('MI', 18)]
+  }
+  assert.deepStrictEqual(describe({ selectedCourses: threeDays, maxCoursesPerWeek: 2 }), ['1 course(s) more than 2 per week'])
+  assert.deepStrictEqual(describe({ selectedCourses: threeDays, maxDaysPerWeek: 2 }), ['1 dance day(s) more than 2 per week'])
+  assert.deepStrictEqual(describe({ selectedCourses: threeDays, maxConsecutiveDays: 2 }), ['1 dance day(s) in a row more than 2'])
+
+  const hours = generator.generate({
+    selectedCourses: {
+      'Course A': [{ day: 'MO', slot: 1080, end: 1140 }],
+      'Course B': [{ day: 'DI', slot: 1080, end: 1170 }, { day: 'MI', slot: 1080, end: 1200 }]
+    },
+    maxHoursPerWeek: 2
+  })
+  assert.strictEqual(hours.length, 1, 'Only the shorter course is a near miss')
+  assert.strictEqual(hours[0].violation.description, '30 minutes more than 2 hour(s) of dancing per week')
+  assert.deepStrictEqual(describeSchedule(hours[0])['Course B'], ['DI 1080'])
+
+  const backToBack = {
+    'Course A': [createTimeSlot('MO', 18)],
+    'Course B': [createTimeSlot('MO', 19, 10)],
+    'Course C': [createTimeSlot('MO', 20, 20)]
+  }
+  assert.deepStrictEqual(describe({ selectedCourses: backToBack, maxConsecutiveCourses: 2 }),
+    ['1 course(s) in a row more than 2 without a 30-minute break'])
+  assert.deepStrictEqual(describe({ selectedCourses: backToBack, maxConsecutiveCourses: 2, preferenceWeights: { restBreaks: 1 } }), [],
+    'A preferred break only ranks schedules')
+
+  assert.deepStrictEqual(describe({
+    selectedCourses: { 'Course A': [createTimeSlot('MO', 18), createTimeSlot('DI', 18), createTimeSlot('MI', 18)] },
+    courseMultiplicity: { 'Course A': 2 },
+    minDaysBetweenRepetitions: 3
+  }), ['Repetitions 1 day(s) closer than 3 day(s) apart'])
+
+  const links = generator.generate({
+    selectedCourses: threeDays,
+    courseRelations: [
+      { first: 'Course A', second: 'Course B', type: 'sameDay' },
+      { first: 'Course A', second: 'Course C', type: 'before' }
+    ]
+  })
+  assert.strictEqual(links.length, 1, 'Only the broken link is dropped')
+  assert.strictEqual(links[0].violation.description, '1 course link(s) broken: "Course A" on the same day as "Course B"')
+  assert.strictEqual(links[0].violation.unit, 'links')
+}
+
+// Case 10: Relaxed inputs without schedules give up at the node budget
+{
+  const days = ['MO', 'DI', 'MI', 'DO', 'FR']
+  const selectedCourses = { 'Course 1': [{ day: 'SO', slot: 480, end: 600 }] }
+  for (let c = 2; c <= 9; c++) {
+    selectedCourses[`Course ${c}`] = days.flatMap(day => [18, 19, 20].map(hour => ({ day, slot: hour * 60, end: hour * 60 + 60 })))
+  }
+  // Either relaxation breaks the other limit, which the search only notices deep down
+  const input = { selectedCourses, maxHoursPerWeek: 9, timeRange: { start: '18:00', end: '' } }
+
+  const budgetGenerator = new AlternativeSolutionGenerator()
+  assert.deepStrictEqual(budgetGenerator.generate(input), [])
+  assert.ok(budgetGenerator.getSearchStats().nodesExplored <= 20000, 'Searches should keep to the default budget')
+  budgetGenerator.generate(input, { maxNodes: 500 })
+  assert.ok(budgetGenerator.getSearchStats().nodesExplored <= 500, 'Searches should keep to the given budget')
+}
+
+console.log('✅ Near-miss schedule tests passed')
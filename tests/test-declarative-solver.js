@@ -8,9 +8,30 @@ import {
   Course,
   Schedule,
   MaxCoursesPerDayConstraint,
+  MaxCoursesPerWeekConstraint,
+  MaxHoursPerWeekConstraint,
+  MaxDaysPerWeekConstraint,
+  MaxConsecutiveDaysConstraint,
+  MaxConsecutiveCoursesConstraint,
   MaxEmptySlotsBetweenCoursesConstraint,
   NoOverlappingSlotsConstraint,
-  CourseMultiplicityConstraint
+  NoSameCourseTwicePerDayConstraint,
+  MinDaysBetweenRepetitionsConstraint,
+  CourseMultiplicityConstraint,
+  TimeWindowConstraint,
+  DayAvailabilityConstraint,
+  PerDayTimeSlotsConstraint,
+  LockedAssignmentsConstraint,
+  CourseGroupConstraint,
+  CourseRelationConstraint,
+  FewerDaysPreference,
+  EndEarlyPreference,
+  NoGapsPreference,
+  PreferredTeachersPreference,
+  SpreadEvenlyPreference,
+  RestBreaksPreference,
+  scheduleDistance,
+  compareSolutions
 } from '../src/declarativeConstraintSolver.js'// Test utilities
 function createTimeSlot(day, hour, minute = 0) {
   return { day, slot: hour * 60 + minute }
@@ -91,6 +112,29 @@ function runTests() {
     }
   })
 
+  test('TimeSlot interval overlap', () => {
+    const sixtyMinutes = new TimeSlot('MO', 1140, 1200) // 19:00-20:00
+    const ninetyMinutes = new TimeSlot('MO', 1170, 1260) // 19:30-21:00
+    const afterwards = new TimeSlot('MO', 1200, 1245) // 20:00-20:45
+    const otherDay = new TimeSlot('DI', 1170, 1260)
+    
+    if (!sixtyMinutes.overlaps(ninetyMinutes) || !ninetyMinutes.overlaps(sixtyMinutes)) {
+      throw new Error('19:00-20:00 and 19:30-21:00 should overlap')
+    }
+    if (sixtyMinutes.overlaps(afterwards)) {
+      throw new Error('Touching intervals should not overlap')
+    }
+    if (sixtyMinutes.overlaps(otherDay)) {
+      throw new Error('Slots on different days should not overlap')
+    }
+    if (!new TimeSlot('MO', 1140).overlaps(new TimeSlot('MO', 1140))) {
+      throw new Error('Slots without end time should overlap when starting at the same minute')
+    }
+    if (new TimeSlot('MO', 1140).overlaps(new TimeSlot('MO', 1170))) {
+      throw new Error('Slots without end time should only overlap when starting at the same minute')
+    }
+  })
+
   // === Schedule Tests ===
   console.log('\n📋 Schedule Tests')
 
@@ -172,6 +216,104 @@ function runTests() {
     }
   })
 
+  test('Rest-day constraints', () => {
+    const onDays = (...days) => new Schedule(Object.fromEntries(days.map((day, i) => [`Course ${i}`, [new TimeSlot(day, 1080)]])))
+
+    const perWeek = new MaxDaysPerWeekConstraint(2)
+    if (!perWeek.isSatisfied(onDays('MO', 'MO', 'DO')) || perWeek.isSatisfied(onDays('MO', 'MI', 'FR'))) {
+      throw new Error('Should count distinct days only')
+    }
+    if (perWeek.canStillPlace(onDays('MO', 'DO'), new TimeSlot('SA', 1080)) || !perWeek.canStillPlace(onDays('MO', 'DO'), new TimeSlot('MO', 1200))) {
+      throw new Error('Only used days remain once the limit is reached')
+    }
+
+    const inARow = new MaxConsecutiveDaysConstraint(2)
+    if (!inARow.isSatisfied(onDays('MO', 'DI', 'DO', 'FR')) || inARow.isSatisfied(onDays('MO', 'DI', 'MI'))) {
+      throw new Error('Should limit runs of consecutive days')
+    }
+    if (inARow.allowsAssignment(onDays('SA', 'SO'), 'Course X', [new TimeSlot('MO', 1080)])) {
+      throw new Error('Sunday and the following Monday are consecutive')
+    }
+
+    const result = new DeclarativeConstraintSolver().findAllSolutions({
+      selectedCourses: {
+        'Course A': [createTimeSlot('MO', 18), createTimeSlot('DI', 18)],
+        'Course B': [createTimeSlot('DI', 19, 10), createTimeSlot('MI', 18)],
+        'Course C': [createTimeSlot('MI', 19, 10), createTimeSlot('DO', 18)]
+      },
+      maxDaysPerWeek: 2,
+      maxConsecutiveDays: 1
+    }, 100)
+    const dayPlans = result.schedules.map(solution => [...new Set(Object.values(solution.schedule).flat().map(slot => slot.day))].sort().join(','))
+    if (dayPlans.sort().join(' | ') !== 'DI,DO | MI,MO') {
+      throw new Error(`Expected two days apart from each other, got ${dayPlans.join(' | ')}`)
+    }
+  })
+
+  test('Weekly load constraints', () => {
+    const sessions = new Schedule({
+      'Course A': [new TimeSlot('MO', 1080), new TimeSlot('MI', 1080)],
+      'Course B': [new TimeSlot('DO', 1200, 1290)]
+    })
+    if (!new MaxCoursesPerWeekConstraint(3).isSatisfied(sessions) || new MaxCoursesPerWeekConstraint(2).isSatisfied(sessions)) {
+      throw new Error('Every session of a repeated course should count')
+    }
+
+    // 2 x 70 minutes plus one 90 minute course
+    const hours = new MaxHoursPerWeekConstraint(4)
+    if (!hours.isSatisfied(sessions) || hours.getMinutes(sessions.getAllAssignedSlots()) !== 230) {
+      throw new Error('Should use real end times and the course duration otherwise')
+    }
+    if (hours.canStillPlace(sessions, new TimeSlot('FR', 1080))) {
+      throw new Error('Another course would exceed the weekly hours')
+    }
+
+    const result = new DeclarativeConstraintSolver().findAllSolutions({
+      selectedCourses: {
+        'Course A': [createTimeSlot('MO', 18), createTimeSlot('DI', 18), createTimeSlot('MI', 18)],
+        'Course B': [createTimeSlot('DO', 18)]
+      },
+      courseMultiplicity: { 'Course A': 2 },
+      maxCoursesPerWeek: 2
+    }, 100)
+    if (result.success) {
+      throw new Error('Course A twice plus Course B are three courses a week')
+    }
+  })
+
+  test('Course links', () => {
+    const link = type => new CourseRelationConstraint([{ first: 'Technique', second: 'Practice', type }])
+    const technique = [new TimeSlot('MI', 1080)]
+    const week = new Schedule({ 'Practice': [new TimeSlot('MO', 1150), new TimeSlot('MI', 1150)] })
+
+    if (!link('sameDay').allowsAssignment(week, 'Technique', technique) || link('differentDay').allowsAssignment(week, 'Technique', technique)) {
+      throw new Error('Should compare the days of both courses')
+    }
+    if (!link('consecutive').allowsAssignment(week, 'Technique', technique) ||
+        link('consecutive').allowsAssignment(week, 'Technique', [new TimeSlot('MI', 1020)])) {
+      throw new Error('Should require the second course right after the first one ends')
+    }
+    if (link('before').allowsAssignment(week, 'Technique', technique) ||
+        !link('before').allowsAssignment(new Schedule({ 'Practice': [new TimeSlot('DO', 1080)] }), 'Technique', technique)) {
+      throw new Error('Should require the first course earlier in the week')
+    }
+    if (!link('differentDay').allowsAssignment(new Schedule(), 'Technique', technique)) {
+      throw new Error('Links only apply once both courses are assigned')
+    }
+
+    const result = new DeclarativeConstraintSolver().findAllSolutions({
+      selectedCourses: {
+        'Technique': [createTimeSlot('MO', 18), createTimeSlot('MI', 18), createTimeSlot('FR', 19, 10)],
+        'Practice': [createTimeSlot('MI', 19, 10), createTimeSlot('FR', 18)]
+      },
+      courseRelations: [{ first: 'Technique', second: 'Practice', type: 'consecutive' }]
+    }, 100)
+    const plans = result.schedules.map(solution => `${solution.schedule['Technique'][0]} + ${solution.schedule['Practice'][0]}`)
+    if (plans.join(' | ') !== 'MI 18:00 + MI 19:10') {
+      throw new Error(`Expected only the back-to-back Wednesday, got ${plans.join(' | ')}`)
+    }
+  })
+
   test('MaxEmptySlotsBetweenCoursesConstraint', () => {
     const constraint = new MaxEmptySlotsBetweenCoursesConstraint(2)
     
@@ -216,6 +358,45 @@ function runTests() {
     }
   })
 
+  test('NoOverlappingSlotsConstraint with mixed course lengths', () => {
+    const constraint = new NoOverlappingSlotsConstraint()
+    
+    const overlapping = new Schedule({
+      'Course A': [new TimeSlot('MO', 1140, 1230)], // 19:00-20:30
+      'Course B': [new TimeSlot('MO', 1185, 1230)]  // 19:45-20:30
+    })
+    if (constraint.isSatisfied(overlapping)) {
+      throw new Error('Should violate constraint when intervals intersect')
+    }
+    
+    const backToBack = new Schedule({
+      'Course A': [new TimeSlot('MO', 1140, 1230)], // 19:00-20:30
+      'Course B': [new TimeSlot('MO', 1230, 1290)]  // 20:30-21:30
+    })
+    if (!constraint.isSatisfied(backToBack)) {
+      throw new Error('Should satisfy constraint for back-to-back courses')
+    }
+  })
+
+  test('NoSameCourseTwicePerDayConstraint', () => {
+    const constraint = new NoSameCourseTwicePerDayConstraint()
+    
+    const spread = new Schedule({
+      'Course A': [new TimeSlot('MO', 1140), new TimeSlot('DO', 1140)],
+      'Course B': [new TimeSlot('MO', 1200)]
+    })
+    if (!constraint.isSatisfied(spread)) {
+      throw new Error('Should satisfy constraint when sessions are on different days')
+    }
+    
+    const sameEvening = new Schedule({
+      'Course A': [new TimeSlot('MO', 1140), new TimeSlot('MO', 1200)]
+    })
+    if (constraint.isSatisfied(sameEvening)) {
+      throw new Error('Should violate constraint when both sessions are on the same day')
+    }
+  })
+
   test('CourseMultiplicityConstraint', () => {
     const constraint = new CourseMultiplicityConstraint({
       'Course A': 2,
@@ -242,6 +423,183 @@ function runTests() {
     }
   })
 
+  test('TimeWindowConstraint', () => {
+    const constraint = new TimeWindowConstraint(TimeSlot.parseTime('18:00'), TimeSlot.parseTime('21:30'))
+    
+    const validSchedule = new Schedule({
+      'Course A': [new TimeSlot('MO', 1080, 1170)], // 18:00-19:30
+      'Course B': [new TimeSlot('DI', 1200, 1290)]  // 20:00-21:30
+    })
+    if (!constraint.isSatisfied(validSchedule)) {
+      throw new Error('Should satisfy constraint when courses are inside the window')
+    }
+    
+    const tooEarly = new Schedule({ 'Course A': [new TimeSlot('MO', 1050, 1110)] }) // 17:30-18:30
+    if (constraint.isSatisfied(tooEarly)) {
+      throw new Error('Should violate constraint when a course starts too early')
+    }
+    
+    const tooLate = new Schedule({ 'Course A': [new TimeSlot('MO', 1230, 1320)] }) // 20:30-22:00
+    if (constraint.isSatisfied(tooLate)) {
+      throw new Error('Should violate constraint when a course ends too late')
+    }
+    
+    // Without a known end a course lasts one course duration (70 minutes by default)
+    if (constraint.isSatisfied(new Schedule({ 'Course A': [new TimeSlot('MO', 1230)] })) ||
+        !constraint.isSatisfied(new Schedule({ 'Course A': [new TimeSlot('MO', 1215)] }))) {
+      throw new Error('Courses without end time should be checked against start plus course duration')
+    }
+    
+    const openEnded = new TimeWindowConstraint(TimeSlot.parseTime('18:00'), null)
+    if (!openEnded.isSatisfied(tooLate)) {
+      throw new Error('Constraint without latest time should accept late courses')
+    }
+  })
+
+  test('DayAvailabilityConstraint', () => {
+    const allowedOnly = new DayAvailabilityConstraint(['MO', 'MI'])
+    const blockedOnly = new DayAvailabilityConstraint(null, ['DI'])
+    
+    const schedule = new Schedule({
+      'Course A': [new TimeSlot('MO', 1200)],
+      'Course B': [new TimeSlot('DI', 1200)]
+    })
+    if (allowedOnly.isSatisfied(schedule)) {
+      throw new Error('Should violate constraint when a course is on a day that is not allowed')
+    }
+    if (blockedOnly.isSatisfied(schedule)) {
+      throw new Error('Should violate constraint when a course is on a blocked day')
+    }
+    
+    const mondayOnly = new Schedule({ 'Course A': [new TimeSlot('MO', 1200)] })
+    if (!allowedOnly.isSatisfied(mondayOnly) || !blockedOnly.isSatisfied(mondayOnly)) {
+      throw new Error('Should satisfy constraints for a course on an allowed day')
+    }
+  })
+
+  test('PerDayTimeSlotsConstraint', () => {
+    const constraint = new PerDayTimeSlotsConstraint({ MO: [1140], DI: [] })
+    
+    const ticked = new Schedule({
+      'Course A': [new TimeSlot('MO', 1140)],
+      'Course B': [new TimeSlot('MI', 1260)] // Wednesday is unrestricted
+    })
+    if (!constraint.isSatisfied(ticked)) {
+      throw new Error('Should satisfy constraint for ticked and unrestricted slots')
+    }
+    
+    const unticked = new Schedule({ 'Course A': [new TimeSlot('MO', 1200)] })
+    if (constraint.isSatisfied(unticked)) {
+      throw new Error('Should violate constraint for an unticked start time')
+    }
+    
+    const clearedDay = new Schedule({ 'Course A': [new TimeSlot('DI', 1140)] })
+    if (constraint.isSatisfied(clearedDay)) {
+      throw new Error('Should violate constraint on a day with no ticked start times')
+    }
+  })
+
+  // === Soft Constraint Tests ===
+  console.log('\n⚖️ Soft Constraint Tests')
+
+  test('Preference penalties', () => {
+    const schedule = new Schedule({
+      'Course A': [new TimeSlot('MO', 1080, 1140, 'Anna')], // 18:00-19:00
+      'Course B': [new TimeSlot('MO', 1200, 1260, 'Ben')],  // 20:00-21:00 (1 hour idle)
+      'Course C': [new TimeSlot('DI', 1140, 1200, 'Anna')]  // 19:00-20:00
+    })
+    
+    const fewerDays = new FewerDaysPreference().getPenalty(schedule)
+    if (fewerDays !== 2) {
+      throw new Error(`Expected fewer-days penalty of 2, got ${fewerDays}`)
+    }
+    
+    // Monday ends 3 hours after 18:00, Tuesday 2 hours
+    const endEarly = new EndEarlyPreference().getPenalty(schedule)
+    if (endEarly !== 5) {
+      throw new Error(`Expected end-early penalty of 5, got ${endEarly}`)
+    }
+    
+    const noGaps = new NoGapsPreference().getPenalty(schedule)
+    if (noGaps !== 1) {
+      throw new Error(`Expected no-gaps penalty of 1, got ${noGaps}`)
+    }
+    
+    const teachers = new PreferredTeachersPreference(1, ['Anna']).getPenalty(schedule)
+    if (teachers !== 1) {
+      throw new Error(`Expected preferred-teachers penalty of 1, got ${teachers}`)
+    }
+  })
+
+  test('Spread-evenly penalty', () => {
+    const preference = new SpreadEvenlyPreference()
+    const spacing = days => preference.getPenalty(new Schedule({ 'Course A': days.map(day => new TimeSlot(day, 1080)) }))
+    
+    // Twice a week is spread evenly at 3.5 days: Monday and Tuesday fall 2.5 days short
+    if (spacing(['MO', 'DI']) !== 2.5 || spacing(['MO', 'DO']) !== 0.5 || spacing(['DO', 'MO']) !== 0.5) {
+      throw new Error(`Unexpected penalties ${spacing(['MO', 'DI'])}, ${spacing(['MO', 'DO'])}`)
+    }
+    if (spacing(['SO', 'MO']) !== spacing(['MO', 'DI'])) {
+      throw new Error('Sunday and Monday are back to back across weeks')
+    }
+    if (spacing(['MO']) !== 0) {
+      throw new Error('Courses taken once cannot be spread')
+    }
+  })
+
+  test('Breaks after consecutive courses', () => {
+    // 18:00-19:00, 19:10-20:10 and 20:20-21:20: ten minute pauses only
+    const evening = new Schedule({
+      'Course A': [new TimeSlot('MO', 1080, 1140)],
+      'Course B': [new TimeSlot('MO', 1150, 1210)],
+      'Course C': [new TimeSlot('MO', 1220, 1280)]
+    })
+    if (new MaxConsecutiveCoursesConstraint(2, 30).isSatisfied(evening) || !new MaxConsecutiveCoursesConstraint(2, 10).isSatisfied(evening)) {
+      throw new Error('Pauses shorter than the minimum break should not end a run')
+    }
+    if (new RestBreaksPreference(1, 1, 30).getPenalty(evening) !== 2 || new RestBreaksPreference(1, 3, 30).getPenalty(evening) !== 0) {
+      throw new Error('Penalty should count the courses beyond the limit')
+    }
+
+    const input = {
+      selectedCourses: {
+        'Course A': [createTimeSlot('MO', 18)],
+        'Course B': [createTimeSlot('MO', 19, 10)],
+        'Course C': [createTimeSlot('MO', 20, 20), createTimeSlot('DI', 18)]
+      },
+      maxConsecutiveCourses: 2,
+      minBreakMinutes: 15
+    }
+    const strict = new DeclarativeConstraintSolver().findAllSolutions(input, 100)
+    if (strict.schedules.length !== 1 || strict.schedules[0].schedule['Course C'][0].day !== 'DI') {
+      throw new Error('Three courses back to back should be ruled out')
+    }
+    const preferred = new DeclarativeConstraintSolver().findAllSolutions({ ...input, preferenceWeights: { restBreaks: 1 } }, 100)
+    if (preferred.schedules.length !== 2) {
+      throw new Error('As a preference the rule should only rank schedules')
+    }
+  })
+
+  test('Weighted stats replace the legacy score', () => {
+    const schedule = new Schedule({
+      'Course A': [new TimeSlot('MO', 1080, 1140)],
+      'Course B': [new TimeSlot('MO', 1200, 1260)]
+    })
+    
+    const stats = schedule.computeStats(70, [new FewerDaysPreference(3), new NoGapsPreference(2)])
+    if (stats.penalties.fewerDays !== 1 || stats.penalties.noGaps !== 1) {
+      throw new Error(`Unexpected penalties: ${JSON.stringify(stats.penalties)}`)
+    }
+    if (stats.weightedPenalty !== 5 || stats.score !== -5) {
+      throw new Error(`Expected weighted penalty 5 and score -5, got ${stats.weightedPenalty} and ${stats.score}`)
+    }
+    
+    const legacyStats = schedule.computeStats(70)
+    if ('penalties' in legacyStats || 'weightedPenalty' in legacyStats) {
+      throw new Error('Stats without preferences should keep the legacy shape')
+    }
+  })
+
   // === Solver Integration Tests ===
   console.log('\n🔧 Solver Integration Tests')
 
@@ -274,6 +632,87 @@ function runTests() {
     expectNoSolution(solution)
   })
 
+  test('Overlapping course intervals are not scheduled together', () => {
+    const solver = new DeclarativeConstraintSolver()
+    
+    const input = {
+      selectedCourses: {
+        'Course A': [{ day: 'MO', slot: 1140, end: 1200 }], // 19:00-20:00
+        'Course B': [
+          { day: 'MO', slot: 1170, end: 1260 }, // 19:30-21:00
+          { day: 'DI', slot: 1170, end: 1260 }
+        ]
+      }
+    }
+    
+    const solutions = solver.findAllSolutions(input, 10).schedules
+    if (solutions.length !== 1) {
+      throw new Error(`Expected exactly 1 solution, got ${solutions.length}`)
+    }
+    if (solutions[0].schedule['Course B'][0].day !== 'DI') {
+      throw new Error('Course B should be moved to Tuesday to avoid the overlap')
+    }
+  })
+
+  test('Time window and day restrictions filter slots', () => {
+    const solver = new DeclarativeConstraintSolver()
+    
+    const input = {
+      selectedCourses: {
+        'Course A': [
+          { day: 'MO', slot: 1020, end: 1080 }, // 17:00-18:00, too early
+          { day: 'DI', slot: 1140, end: 1200 }, // 19:00-20:00, blocked day
+          { day: 'MI', slot: 1260, end: 1350 }, // 21:00-22:30, too late
+          { day: 'DO', slot: 1140, end: 1200 }, // 19:00-20:00, day not allowed
+          { day: 'FR', slot: 1140, end: 1200 }  // 19:00-20:00, valid
+        ]
+      },
+      timeRange: { start: '18:00', end: '22:00' },
+      allowedDays: ['MO', 'DI', 'MI', 'FR'],
+      blockedDays: ['DI']
+    }
+    
+    const solutions = solver.findAllSolutions(input, 10).schedules
+    if (solutions.length !== 1 || solutions[0].schedule['Course A'][0].day !== 'FR') {
+      throw new Error('Only the Friday slot should satisfy the time window and day restrictions')
+    }
+  })
+
+  test('Overlap prevention and duplicate-per-day toggles', () => {
+    const solver = new DeclarativeConstraintSolver()
+    
+    const input = {
+      selectedCourses: {
+        'Course A': [createTimeSlot('MO', 18), createTimeSlot('MO', 20), createTimeSlot('DO', 19)],
+        'Course B': [createTimeSlot('MO', 18)]
+      },
+      courseMultiplicity: { 'Course A': 2 }
+    }
+    
+    // Default: overlaps prevented, so Course A cannot use MO 18:00
+    const defaults = solver.findAllSolutions(input, 10).schedules
+    if (defaults.length !== 1) {
+      throw new Error(`Expected 1 solution by default, got ${defaults.length}`)
+    }
+    
+    const overlapsAllowed = solver.findAllSolutions({ ...input, preventOverlaps: false }, 10).schedules
+    if (overlapsAllowed.length !== 3) {
+      throw new Error(`Expected 3 solutions when overlaps are allowed, got ${overlapsAllowed.length}`)
+    }
+    if (solver.getConstraintsSummary().some(desc => desc.includes('overlapping'))) {
+      throw new Error('Overlap constraint should not be active when overlaps are allowed')
+    }
+    
+    // Forbidding duplicates removes the MO 18:00 + MO 20:00 combination
+    const noDuplicates = solver.findAllSolutions({ ...input, preventOverlaps: false, noDuplicateCoursesPerDay: true }, 10).schedules
+    if (noDuplicates.length !== 2) {
+      throw new Error(`Expected 2 solutions when duplicates per day are forbidden, got ${noDuplicates.length}`)
+    }
+    if (noDuplicates.some(solution => solution.schedule['Course A'].every(slot => slot.day === 'MO'))) {
+      throw new Error('Course A should never be scheduled twice on Monday')
+    }
+  })
+
   test('Course multiplicity scheduling', () => {
     const solver = new DeclarativeConstraintSolver()
     
@@ -343,6 +782,496 @@ function runTests() {
     }
   })
 
+  test('Weighted preferences rank solutions', () => {
+    const solver = new DeclarativeConstraintSolver()
+    
+    const input = {
+      selectedCourses: {
+        'Course A': [
+          { day: 'MO', slot: 1080, end: 1140, teacher: 'Anna' },
+          { day: 'DI', slot: 1260, end: 1320, teacher: 'Ben' }
+        ],
+        'Course B': [
+          { day: 'MO', slot: 1140, end: 1200, teacher: 'Ben' }
+        ]
+      }
+    }
+    
+    // Fewer days puts both courses on Monday first
+    const byDays = solver.findAllSolutions({ ...input, preferenceWeights: { fewerDays: 1 } }, 5)
+    if (byDays.schedules.length !== 2 || byDays.schedules[0].schedule['Course A'][0].day !== 'MO') {
+      throw new Error('Expected the single-day schedule to rank first')
+    }
+    if (byDays.schedules[0].penalties.fewerDays !== 1 || byDays.schedules[1].penalties.fewerDays !== 2) {
+      throw new Error('Expected per-preference penalties on each schedule')
+    }
+    
+    // Preferring Ben outweighs using an extra day
+    const byTeacher = solver.findAllSolutions({
+      ...input,
+      preferenceWeights: { fewerDays: 1, preferredTeachers: 2 },
+      preferredTeachers: ['Ben']
+    }, 5)
+    if (byTeacher.schedules[0].schedule['Course A'][0].day !== 'DI') {
+      throw new Error('Expected the preferred teacher schedule to rank first')
+    }
+    if (byTeacher.schedules[0].weightedPenalty !== 2 || byTeacher.schedules[1].weightedPenalty !== 3) {
+      throw new Error(`Unexpected weighted penalties: ${byTeacher.schedules.map(s => s.weightedPenalty).join(', ')}`)
+    }
+  })
+
+  test('Branch-and-bound finds the top K schedules', () => {
+    const solver = new DeclarativeConstraintSolver()
+    
+    const days = ['MO', 'DI', 'MI', 'DO', 'FR']
+    const selectedCourses = {}
+    for (let c = 0; c < 5; c++) {
+      selectedCourses[`Course ${c}`] = days.flatMap(day => [
+        { day, slot: 1080 + c * 10, end: 1140 + c * 10 },
+        { day, slot: 1200 + c * 10, end: 1260 + c * 10 }
+      ])
+    }
+    const input = {
+      selectedCourses,
+      preventOverlaps: false,
+      preferenceWeights: { fewerDays: 2, endEarly: 1 }
+    }
+    
+    // Reference ranking from exhaustive enumeration
+    const all = solver.findAllSolutions(input, 1000000)
+    const expectedScores = all.schedules.slice(0, 5).map(s => s.score)
+    
+    const best = solver.findBestSolutions(input, 5)
+    if (!best.success || !best.optimal) {
+      throw new Error('Expected a completed, optimal search')
+    }
+    const bestScores = best.schedules.map(s => s.score)
+    if (JSON.stringify(bestScores) !== JSON.stringify(expectedScores)) {
+      throw new Error(`Expected scores ${expectedScores.join(', ')}, got ${bestScores.join(', ')}`)
+    }
+    
+    // Bounds should prune most of the 10^5 complete assignments
+    if (best.nodesExplored >= all.schedules.length) {
+      throw new Error(`Expected pruning, explored ${best.nodesExplored} nodes`)
+    }
+    
+    // A tiny node budget still returns schedules but cannot prove optimality
+    const limited = solver.findBestSolutions(input, 5, { maxNodes: 3 })
+    if (limited.optimal) {
+      throw new Error('Search cut off by the node budget should not be optimal')
+    }
+  })
+
+  test('Branch-and-bound with legacy scores', () => {
+    const solver = new DeclarativeConstraintSolver()
+    
+    const input = {
+      selectedCourses: {
+        'Course A': [createTimeSlot('MO', 18), createTimeSlot('DI', 18), createTimeSlot('MI', 20)],
+        'Course B': [createTimeSlot('MO', 20), createTimeSlot('DI', 19)],
+        'Course C': [createTimeSlot('MO', 19), createTimeSlot('DO', 21)]
+      },
+      maxCoursesPerDay: 3
+    }
+    
+    const expected = solver.findAllSolutions(input, 1000).schedules.slice(0, 3).map(s => s.score)
+    const best = solver.findBestSolutions(input, 3)
+    const bestScores = best.schedules.map(s => s.score)
+    if (!best.optimal || JSON.stringify(bestScores) !== JSON.stringify(expected)) {
+      throw new Error(`Expected scores ${expected.join(', ')}, got ${bestScores.join(', ')}`)
+    }
+  })
+
+  test('Search heuristics find the same solutions as plain backtracking', () => {
+    const input = {
+      selectedCourses: {
+        'Course A': [createTimeSlot('MO', 18), createTimeSlot('DI', 18), createTimeSlot('MI', 18)],
+        'Course B': [createTimeSlot('MO', 19), createTimeSlot('DI', 18)],
+        'Course C': [createTimeSlot('MO', 18)]
+      },
+      maxCoursesPerDay: 2,
+      courseMultiplicity: { 'Course A': 2 }
+    }
+    
+    const plain = new DeclarativeConstraintSolver({ searchHeuristics: false })
+    const smart = new DeclarativeConstraintSolver()
+    const plainKeys = plain.findAllSolutions(input, 100).schedules.map(s => JSON.stringify(s.schedule)).sort()
+    const smartKeys = smart.findAllSolutions(input, 100).schedules.map(s => JSON.stringify(s.schedule)).sort()
+    
+    if (JSON.stringify(plainKeys) !== JSON.stringify(smartKeys)) {
+      throw new Error(`Expected identical solutions, got ${plainKeys.length} vs ${smartKeys.length}`)
+    }
+    if (smart.getSearchStats().nodesExplored > plain.getSearchStats().nodesExplored) {
+      throw new Error('Heuristic search should not explore more nodes')
+    }
+  })
+
+  test('Plain backtracking keeps gaps that a later course fills', () => {
+    const input = {
+      selectedCourses: {
+        'Course A': [createTimeSlot('MO', 18)],
+        'Course B': [createTimeSlot('MO', 20, 20), createTimeSlot('DI', 20, 20)],
+        'Course C': [createTimeSlot('MO', 19, 10), createTimeSlot('DI', 19, 10)]
+      },
+      maxEmptySlotsBetweenCourses: 2
+    }
+
+    const plainKeys = new DeclarativeConstraintSolver({ searchHeuristics: false })
+      .findAllSolutions(input, 100).schedules.map(s => JSON.stringify(s.schedule)).sort()
+    const smartKeys = new DeclarativeConstraintSolver()
+      .findAllSolutions(input, 100).schedules.map(s => JSON.stringify(s.schedule)).sort()
+
+    // Course A and B alone leave too long a gap on Monday, until Course C fills it
+    if (plainKeys.length !== 3) {
+      throw new Error(`Expected 3 solutions, got ${plainKeys.length}`)
+    }
+    if (JSON.stringify(plainKeys) !== JSON.stringify(smartKeys)) {
+      throw new Error(`Expected identical solutions, got ${plainKeys.length} vs ${smartKeys.length}`)
+    }
+  })
+
+  test('Solution iterator pages lazily through the same solutions', () => {
+    const days = ['MO', 'DI', 'MI', 'DO', 'FR']
+    const input = { selectedCourses: {} }
+    for (let c = 1; c <= 3; c++) {
+      input.selectedCourses[`Course ${c}`] = days.flatMap(day => [18, 19].map(hour => createTimeSlot(day, hour)))
+    }
+
+    const solver = new DeclarativeConstraintSolver()
+    const iterator = solver.iterateSolutions(input)
+    const firstPage = []
+    for (const solution of iterator) {
+      firstPage.push(solution)
+      if (firstPage.length === 5) break
+    }
+    const nodesForFirstPage = solver.getSearchStats().nodesExplored
+
+    const all = new DeclarativeConstraintSolver().findAllSolutions(input, 1000000)
+    if (firstPage.length !== 5) {
+      throw new Error(`Expected a page of 5 solutions, got ${firstPage.length}`)
+    }
+    if (nodesForFirstPage >= all.nodesExplored) {
+      throw new Error('First page should not search the whole space')
+    }
+
+    // A fresh iterator paged to the end yields exactly the solutions of findAllSolutions
+    const paged = new DeclarativeConstraintSolver()
+    const solutions = paged.iterateSolutions(input)
+    const pagedKeys = []
+    for (let page = solutions.next(); !page.done; page = solutions.next()) {
+      pagedKeys.push(JSON.stringify(page.value.schedule))
+      // Solving another problem in between must not disturb the iterator
+      if (pagedKeys.length === 10) paged.solve({ selectedCourses: { 'Other': [createTimeSlot('SA', 10)] } })
+    }
+    const allKeys = all.schedules.map(s => JSON.stringify(s.schedule))
+    if (JSON.stringify(pagedKeys.slice().sort()) !== JSON.stringify(allKeys.slice().sort())) {
+      throw new Error(`Expected ${allKeys.length} solutions from the iterator, got ${pagedKeys.length}`)
+    }
+    if (new Set(pagedKeys).size !== pagedKeys.length) {
+      throw new Error('Iterator should not repeat solutions')
+    }
+  })
+
+  test('Diverse solutions differ more than the best ones', () => {
+    const days = ['MO', 'DI', 'MI', 'DO', 'FR']
+    const input = { selectedCourses: {}, maxCoursesPerDay: 2 }
+    for (let c = 1; c <= 3; c++) {
+      input.selectedCourses[`Course ${c}`] = days.flatMap(day => [18, 19, 20].map(hour => createTimeSlot(day, hour)))
+    }
+    const closestPair = schedules => {
+      let closest = Infinity
+      for (let i = 0; i < schedules.length; i++) {
+        for (let j = i + 1; j < schedules.length; j++) {
+          closest = Math.min(closest, scheduleDistance(schedules[i].schedule, schedules[j].schedule))
+        }
+      }
+      return closest
+    }
+
+    const best = new DeclarativeConstraintSolver().findBestSolutions(input, 5)
+    const diverse = new DeclarativeConstraintSolver().findDiverseSolutions(input, 5)
+
+    if (diverse.schedules.length !== 5) {
+      throw new Error(`Expected 5 diverse solutions, got ${diverse.schedules.length}`)
+    }
+    if (diverse.schedules[0].score !== best.schedules[0].score) {
+      throw new Error('The first diverse solution should be a best one')
+    }
+    const minScore = best.schedules[best.schedules.length - 1].score
+    if (!diverse.schedules.every(s => s.score >= minScore)) {
+      throw new Error('Diverse solutions should score at least as well as the k-th best one')
+    }
+    if (closestPair(diverse.schedules) <= closestPair(best.schedules)) {
+      throw new Error(`Diverse solutions should be farther apart (${closestPair(diverse.schedules)} vs ${closestPair(best.schedules)})`)
+    }
+    if (scheduleDistance({ A: [createTimeSlot('MO', 18)], B: [createTimeSlot('DI', 18)] },
+      { A: [createTimeSlot('MO', 18)], B: [createTimeSlot('MI', 18)] }) !== 1) {
+      throw new Error('Distance should count differing course/slot assignments')
+    }
+  })
+
+  test('Locked assignments are kept and planned around', () => {
+    const input = {
+      selectedCourses: {
+        'Course A': [createTimeSlot('MO', 18), createTimeSlot('DI', 18), createTimeSlot('MI', 18)],
+        'Course B': [createTimeSlot('MO', 18), createTimeSlot('DI', 18)]
+      },
+      courseMultiplicity: { 'Course A': 2 },
+      noDuplicateCoursesPerDay: true,
+      lockedAssignments: { 'Course A': [createTimeSlot('DI', 18)] }
+    }
+    const result = new DeclarativeConstraintSolver().findAllSolutions(input, 10)
+
+    // Course A keeps Tuesday, so Course B can only take Monday, leaving Wednesday for A
+    if (result.schedules.length !== 1) {
+      throw new Error(`Expected 1 schedule, got ${result.schedules.length}`)
+    }
+    const slots = course => result.schedules[0].schedule[course].map(slot => slot.day).sort().join(',')
+    if (slots('Course A') !== 'DI,MI' || slots('Course B') !== 'MO') {
+      throw new Error(`Unexpected schedule: A ${slots('Course A')}, B ${slots('Course B')}`)
+    }
+
+    const constraint = new LockedAssignmentsConstraint(input.lockedAssignments)
+    const schedule = new Schedule()
+    if (constraint.allowsAssignment(schedule, 'Course A', [new TimeSlot('MO', 1080), new TimeSlot('MI', 1080)])) {
+      throw new Error('Assignments without the locked slot should be rejected')
+    }
+    if (!constraint.allowsAssignment(schedule, 'Course B', [new TimeSlot('MO', 1080)])) {
+      throw new Error('Courses without locked slots are unrestricted')
+    }
+    if (constraint.getDescription() !== 'Kept courses: Course A at DI 18:00') {
+      throw new Error(`Unexpected description: ${constraint.getDescription()}`)
+    }
+
+    const conflicting = { ...input, lockedAssignments: { 'Course A': [createTimeSlot('MO', 18)], 'Course B': [createTimeSlot('MO', 18)] } }
+    if (new DeclarativeConstraintSolver().solve(conflicting).success) {
+      throw new Error('Overlapping locked slots cannot both be kept')
+    }
+  })
+
+  test('Optional courses fit as much value as possible', () => {
+    const input = {
+      selectedCourses: {
+        'Course A': [createTimeSlot('MO', 18)],
+        'Course B': [createTimeSlot('MO', 18), createTimeSlot('DI', 18)],
+        'Course C': [createTimeSlot('DI', 18)],
+        'Course D': [createTimeSlot('DI', 18)]
+      },
+      optionalCourses: { 'Course B': 1, 'Course C': 1, 'Course D': 3 }
+    }
+
+    // B, C and D compete for Tuesday; D is worth more than B and C together
+    const best = new DeclarativeConstraintSolver().findBestSolutions(input, 3)
+    const [top] = best.schedules
+    if (top.optionalValue !== 3 || top.droppedCourses.join(',') !== 'Course B,Course C') {
+      throw new Error(`Expected D to be kept, got value ${top.optionalValue} dropping ${top.droppedCourses}`)
+    }
+    if (Object.keys(top.schedule).join(',') !== 'Course A,Course D') {
+      throw new Error('Dropped courses should not be part of the schedule')
+    }
+    if (!best.schedules.every((solution, i) => i === 0 || compareSolutions(best.schedules[i - 1], solution) >= 0)) {
+      throw new Error('Solutions should be ranked by optional value first')
+    }
+
+    // Unlike must-haves, optional courses without any free slot do not make the problem infeasible
+    const mustHave = { ...input, optionalCourses: { 'Course B': 1 } }
+    if (new DeclarativeConstraintSolver().solve(mustHave).success) {
+      throw new Error('C and D cannot both be scheduled')
+    }
+    const all = new DeclarativeConstraintSolver().findAllSolutions(input, 100)
+    if (!all.success || all.schedules.some(solution => !('Course A' in solution.schedule))) {
+      throw new Error('Must-have courses are always scheduled')
+    }
+
+    // Pinned courses are never dropped
+    const pinned = new DeclarativeConstraintSolver().findBestSolutions({
+      ...input,
+      lockedAssignments: { 'Course C': [createTimeSlot('DI', 18)] }
+    }, 1)
+    if (pinned.schedules[0].droppedCourses.includes('Course C')) {
+      throw new Error('Pinned optional courses should be kept')
+    }
+
+    if (compareSolutions({ optionalValue: 2, score: -5 }, { optionalValue: 1, score: 10 }) <= 0) {
+      throw new Error('Optional value should outrank the score')
+    }
+  })
+
+  test('Repetitions are kept some days apart', () => {
+    const weekdays = ['MO', 'DI', 'MI', 'DO', 'FR', 'SA', 'SO']
+    const input = {
+      selectedCourses: { 'Course A': weekdays.map(day => createTimeSlot(day, 18)) },
+      courseMultiplicity: { 'Course A': 2 },
+      minDaysBetweenRepetitions: 3
+    }
+
+    // Distances count around the week, so only pairs 3 days apart remain
+    const all = new DeclarativeConstraintSolver().findAllSolutions(input, 100)
+    if (all.schedules.length !== 7) {
+      throw new Error(`Expected 7 pairs 3 days apart, got ${all.schedules.length}`)
+    }
+    if (new DeclarativeConstraintSolver().solve({ ...input, minDaysBetweenRepetitions: 4 }).success) {
+      throw new Error('Two sessions a week are at most 3 days apart')
+    }
+
+    const constraint = new MinDaysBetweenRepetitionsConstraint(2)
+    const schedule = new Schedule({ 'Course A': [new TimeSlot('SO', 1080)] })
+    if (constraint.allowsAssignment(schedule, 'Course A', [new TimeSlot('MO', 1080)])) {
+      throw new Error('Sunday and Monday are 1 day apart')
+    }
+    if (!constraint.allowsAssignment(schedule, 'Course B', [new TimeSlot('MO', 1080)])) {
+      throw new Error('Other courses are not affected')
+    }
+
+    // Without a hard limit, the preference picks the most even spread
+    const best = new DeclarativeConstraintSolver().findBestSolutions({
+      ...input,
+      minDaysBetweenRepetitions: 0,
+      preferenceWeights: { spreadEvenly: 1 }
+    }, 1)
+    const [first, second] = best.schedules[0].schedule['Course A'].map(slot => slot.day)
+    const distance = Math.abs(weekdays.indexOf(first) - weekdays.indexOf(second))
+    if (Math.min(distance, 7 - distance) !== 3) {
+      throw new Error(`Expected an even spread, got ${first} and ${second}`)
+    }
+  })
+
+  test('Course groups schedule exactly K of their courses', () => {
+    const input = {
+      selectedCourses: {
+        'Course A': [createTimeSlot('MO', 18)],
+        'Salsa L2': [createTimeSlot('MO', 18), createTimeSlot('DI', 18)],
+        'Bachata L2': [createTimeSlot('DI', 18)],
+        'Kizomba L1': [createTimeSlot('MI', 18)]
+      },
+      courseGroups: [{ courses: ['Salsa L2', 'Bachata L2', 'Kizomba L1'], count: 2 }]
+    }
+
+    const all = new DeclarativeConstraintSolver().findAllSolutions(input, 100)
+    const picks = all.schedules.map(solution => Object.keys(solution.schedule).filter(name => name !== 'Course A').join(','))
+    if (!all.success || all.schedules.some(solution => !('Course A' in solution.schedule))) {
+      throw new Error('Courses outside groups are always scheduled')
+    }
+    // Salsa and Bachata can only meet on Tuesday, as Course A takes Monday
+    if (picks.sort().join(' | ') !== 'Bachata L2,Kizomba L1 | Salsa L2,Kizomba L1') {
+      throw new Error(`Expected every feasible pair of the group once, got ${picks.join(' | ')}`)
+    }
+    if (all.schedules.some(solution => 'droppedCourses' in solution)) {
+      throw new Error('Unchosen group members are not dropped optional courses')
+    }
+
+    // Pinned members always count towards their group
+    const pinned = new DeclarativeConstraintSolver().findAllSolutions({
+      ...input,
+      lockedAssignments: { 'Kizomba L1': [createTimeSlot('MI', 18)] }
+    }, 100)
+    if (!pinned.schedules.every(solution => 'Kizomba L1' in solution.schedule)) {
+      throw new Error('Pinned group members should always be chosen')
+    }
+
+    // A group that cannot be filled makes the problem infeasible
+    const tooMany = { ...input, courseGroups: [{ courses: ['Salsa L2', 'Bachata L2', 'Kizomba L1'], count: 3 }] }
+    if (new DeclarativeConstraintSolver().solve(tooMany).success) {
+      throw new Error('Salsa and Bachata cannot share Tuesday while Course A takes Monday')
+    }
+
+    const constraint = new CourseGroupConstraint([{ courses: ['Salsa L2', 'Bachata L2'], count: 1 }])
+    if (constraint.getDescription() !== 'Course groups: any 1 of Salsa L2 and Bachata L2') {
+      throw new Error(`Unexpected description: ${constraint.getDescription()}`)
+    }
+  })
+
+  test('Pareto front keeps only undominated trade-offs', () => {
+    const input = {
+      selectedCourses: {
+        'Course A': [createTimeSlot('MO', 18), createTimeSlot('DI', 18)],
+        'Course B': [createTimeSlot('MO', 20, 20), createTimeSlot('MI', 19)],
+        'Course C': [createTimeSlot('MO', 19, 10), createTimeSlot('DO', 20)]
+      }
+    }
+    const result = new DeclarativeConstraintSolver().findParetoSolutions(input, ['days', 'maxGap'])
+
+    if (!result.success || !result.optimal) {
+      throw new Error('Small inputs should have a complete front')
+    }
+    const front = result.schedules.map(s => s.metrics)
+    if (JSON.stringify(front) !== JSON.stringify([{ days: 1, maxGap: 1.17 }, { days: 3, maxGap: 0 }])) {
+      throw new Error(`Unexpected front: ${JSON.stringify(front)}`)
+    }
+
+    let threw = false
+    try {
+      new DeclarativeConstraintSolver().findParetoSolutions(input, ['days', 'mood'])
+    } catch (error) {
+      threw = /Unknown schedule metric/.test(error.message)
+    }
+    if (!threw) {
+      throw new Error('Unknown metrics should be rejected')
+    }
+  })
+
+  test('Node budgets stop searches that find no solutions', () => {
+    // Nine courses cannot fit on two days with three courses each
+    const days = ['MO', 'DI', 'MI', 'DO', 'FR']
+    const input = { selectedCourses: {}, maxDaysPerWeek: 2, maxCoursesPerDay: 3 }
+    for (let c = 1; c <= 9; c++) {
+      input.selectedCourses[`Course ${c}`] = days.flatMap(day => [18, 19, 20].map(hour => createTimeSlot(day, hour)))
+    }
+
+    const solver = new DeclarativeConstraintSolver()
+    const search = { maxNodes: 2000 }
+    if ([...solver.iterateSolutions(input, search)].length !== 0 || !search.aborted) {
+      throw new Error('Iterator should stop at the node budget without solutions')
+    }
+    if (solver.getSearchStats().nodesExplored > 2000) {
+      throw new Error(`Iterator explored ${solver.getSearchStats().nodesExplored} nodes`)
+    }
+
+    const pareto = solver.findParetoSolutions(input, ['days', 'maxGap'], { maxNodes: 2000 })
+    if (pareto.success || pareto.optimal || pareto.nodesExplored > 2000) {
+      throw new Error(`Pareto search should give up after 2000 nodes, explored ${pareto.nodesExplored}`)
+    }
+  })
+
+  test('Diverse search keeps to the node budget when solutions are rare', () => {
+    // Sunday's long lesson leaves no hours for the other courses, but search order tries it first
+    const days = ['MO', 'DI', 'MI', 'DO', 'FR']
+    const input = {
+      selectedCourses: {
+        'Course A': [{ day: 'SO', slot: 480, end: 600 }, { day: 'MO', slot: 1020, end: 1080, teacher: 'Ana' }]
+      },
+      maxHoursPerWeek: 9,
+      preferredTeachers: ['Ana'],
+      preferenceWeights: { preferredTeachers: 5 }
+    }
+    for (let c = 1; c <= 8; c++) {
+      input.selectedCourses[`Course ${c + 1}`] = days.flatMap(day => [18, 19, 20].map(hour => ({ day, slot: hour * 60, end: hour * 60 + 60, teacher: 'Ana' })))
+    }
+
+    const solver = new DeclarativeConstraintSolver()
+    const best = solver.findBestSolutions(input, 5, { maxNodes: 2000 })
+    const diverse = solver.findDiverseSolutions(input, 5, { maxNodes: 2000, poolSize: 100000 })
+    if (!diverse.success || diverse.nodesExplored > best.nodesExplored + 2000) {
+      throw new Error(`Expected at most ${best.nodesExplored + 2000} nodes, explored ${diverse.nodesExplored}`)
+    }
+  })
+
+  test('Gap limit allows a later course to fill the gap', () => {
+    const solver = new DeclarativeConstraintSolver()
+    
+    // A and B alone are 4 hours apart; C in between keeps every gap at 2 hours
+    const solution = solver.solve({
+      selectedCourses: {
+        'Course A': [createTimeSlot('MO', 16)],
+        'Course B': [createTimeSlot('MO', 20)],
+        'Course C': [createTimeSlot('MO', 18)]
+      },
+      maxEmptySlotsBetweenCourses: 2.5
+    })
+    
+    expectSolutionValid(solution, 3)
+  })
+
   test('Debug mode functionality', () => {
     const solver = new DeclarativeConstraintSolver()
     solver.setDebugMode(true)
@@ -399,6 +1328,31 @@ function runTests() {
     }
   })
 
+  test('Localised constraint descriptions', () => {
+    const constraint = new DayAvailabilityConstraint(['MO', 'DI', 'MI'], ['SA'])
+    const { code, params } = constraint.getMessage()
+    if (code !== 'Courses only on {days}; no courses on {blockedDays}' || params.blockedDays[0] !== 'SA') {
+      throw new Error(`Unexpected message: ${code}`)
+    }
+    if (constraint.getDescription() !== 'Courses only on MO, DI and MI; no courses on SA') {
+      throw new Error(`Unexpected description: ${constraint.getDescription()}`)
+    }
+
+    const german = constraint.getDescription({
+      translate: text => text === code ? 'Kurse nur am {days}; keine Kurse am {blockedDays}' : text,
+      day: day => ({ MO: 'Montag', DI: 'Dienstag', MI: 'Mittwoch', SA: 'Samstag' })[day],
+      and: 'und'
+    })
+    if (german !== 'Kurse nur am Montag, Dienstag und Mittwoch; keine Kurse am Samstag') {
+      throw new Error(`Unexpected translation: ${german}`)
+    }
+
+    const slots = new PerDayTimeSlotsConstraint({ MO: [1080, 1140], DI: [] }).getDescription()
+    if (slots !== 'Allowed start times: 18:00 and 19:00 on MO and nothing on DI') {
+      throw new Error(`Unexpected description: ${slots}`)
+    }
+  })
+
   test('Course duration configuration', () => {
     // Test default duration
     const solver1 = new DeclarativeConstraintSolver()
@@ -0,0 +1,115 @@
+import assert from 'assert'
+import { AlternativeSolutionGenerator } from '../src/alternativeSolutionGenerator.js'
+import { HintingSolver } from '../src/hintingSolver.js'
+import { formatMessage } from '../src/declarativeConstraintSolver.js'
+
+function createTimeSlot(day, hour, minute = 0) {
+  return { day, slot: hour * 60 + minute }
+}
+
+console.log('🧪 Near-Miss Suggestion Tests')
+
+const generator = new AlternativeSolutionGenerator()
+
+// Case 1: An unsolvable input gets labeled near misses next to the solver's hints
+{
+  const input = {
+    selectedCourses: {
+      'Course A': [createTimeSlot('MO', 18), createTimeSlot('SA', 18)],
+      'Course B': [createTimeSlot('MO', 18)]
+    },
+    blockedDays: ['SA']
+  }
+  assert.strictEqual(new HintingSolver().solve(input).success, false, 'Both courses need Monday 18:00')
+
+  const nearMisses = generator.generate(input)
+  assert.strictEqual(nearMisses.length, 1)
+  const [nearMiss] = nearMisses
+  assert.deepStrictEqual(nearMiss.schedule.schedule['Course A'].map(slot => slot.day), ['SA'])
+  assert.deepStrictEqual(nearMiss.violation.message, {
+    code: '{amount} course(s) on blocked {days}',
+    params: { amount: 1, days: ['SA'] }
+  })
+  assert.strictEqual(nearMiss.schedule.days, 2, 'Near misses carry the usual schedule stats')
+}
+
+// Case 2: Violation labels render through the localisation hooks
+{
+  const [nearMiss] = generator.generate({
+    selectedCourses: {
+      'Course A': [createTimeSlot('MO', 18), createTimeSlot('SA', 18)],
+      'Course B': [createTimeSlot('MO', 18)]
+    },
+    blockedDays: ['SA']
+  })
+  const { code, params } = nearMiss.violation.message
+  assert.strictEqual(formatMessage(code, params), nearMiss.violation.description)
+  assert.strictEqual(formatMessage(code, params, {
+    translate: text => text === code ? '{amount} Kurs(e) am gesperrten {days}' : text,
+    day: day => ({ SA: 'Samstag' })[day]
+  }), '1 Kurs(e) am gesperrten Samstag')
+}
+
+// Case 3: Solvable inputs only get schedules that actually break a constraint
+{
+  const input = {
+    selectedCourses: {
+      'Course A': [createTimeSlot('MO', 18), createTimeSlot('DI', 18)],
+      'Course B': [createTimeSlot('MO', 19, 10), createTimeSlot('DI', 19, 10)]
+    },
+    maxCoursesPerDay: 1
+  }
+  const nearMisses = generator.generate(input)
+  assert.strictEqual(nearMisses.length, 2, 'Both days can hold the two courses together')
+  for (const nearMiss of nearMisses) {
+    assert.strictEqual(nearMiss.schedule.coursesOnBusiestDay, 2)
+    assert.strictEqual(nearMiss.violation.amount, 1)
+  }
+}
+
+// Case 4: Near misses per constraint are limited and sorted by score
+{
+  const days = ['SA', 'SO']
+  const input = {
+    selectedCourses: {
+      'Course A': days.flatMap(day => [18, 19, 20].map(hour => createTimeSlot(day, hour))),
+      'Course B': [createTimeSlot('MO', 18)]
+    },
+    blockedDays: days
+  }
+  const nearMisses = generator.generate(input, { maxPerConstraint: 2 })
+  assert.strictEqual(nearMisses.length, 2, 'Should respect maxPerConstraint')
+  assert.ok(nearMisses[0].schedule.score >= nearMisses[1].schedule.score, 'Best schedules first')
+  assert.strictEqual(generator.generate(input).length, 3, 'Three near misses by default')
+}
+
+// Case 5: Inputs without any restriction have nothing to break
+{
+  const nearMisses = generator.generate({
+    selectedCourses: {
+      'Course A': [createTimeSlot('MO', 18)],
+      'Course B': [createTimeSlot('MO', 18)]
+    }
+  })
+  assert.deepStrictEqual(nearMisses, [], 'Overlaps are never offered as near misses')
+}
+
+// Case 6: The HintingSolver offers the near misses of unsolvable inputs
+{
+  const input = {
+    selectedCourses: {
+      'Course A': [createTimeSlot('MO', 18), createTimeSlot('SA', 18)],
+      'Course B': [createTimeSlot('MO', 18)]
+    },
+    blockedDays: ['SA']
+  }
+  const result = new HintingSolver().solve(input)
+  assert.deepStrictEqual(
+    result.nearMisses.map(nearMiss => nearMiss.violation.description),
+    generator.generate(input).map(nearMiss => nearMiss.violation.description)
+  )
+  assert.strictEqual(new HintingSolver().solve({ selectedCourses: input.selectedCourses }).nearMisses, undefined,
+    'Solvable inputs need no near misses')
+}
+
+console.log('✅ Near-miss suggestion tests passed')
@@ -5,6 +5,7 @@
 
 import assert from 'assert'
 import { HintingSolver, SchedulingHint, AlternativeSolution } from '../src/hintingSolver.js'
+import { formatMessage } from '../src/declarativeConstraintSolver.js'
 
 function createTimeSlot(day, hour, minute = 0) {
   return { day, slot: hour * 60 + minute }
@@ -312,6 +313,434 @@ if (!validationResult.success && validationResult.alternatives) {
   console.log(`✅ Problem was either solvable or had no valid alternatives`)
 }
 
+// Test 11: Time window and day relaxation hints
+console.log('📋 Test 11: Time Window and Day Relaxation')
+const availabilityResult = solver.solve({
+  selectedCourses: {
+    'Early Course': [
+      { day: 'MO', slot: 1020, end: 1080 }, // 17:00-18:00
+      { day: 'SA', slot: 1140, end: 1200 }  // 19:00-20:00
+    ]
+  },
+  timeRange: { start: '18:30', end: '22:00' },
+  blockedDays: ['SA']
+})
+
+assert.strictEqual(availabilityResult.success, false, 'Should fail outside the time window and on blocked days')
+
+const earliestHint = availabilityResult.hints.find(h => h.modification.constraint === 'earliestTimeStr')
+assert.ok(earliestHint, 'Should suggest an earlier start time')
+assert.strictEqual(earliestHint.modification.currentValue, '18:30', 'Should report current earliest time')
+assert.strictEqual(earliestHint.modification.suggestedValue, '17:00', 'Should suggest the start of the excluded course')
+
+const blockedDayHint = availabilityResult.hints.find(h => h.modification.constraint === 'blockedDays')
+assert.ok(blockedDayHint, 'Should suggest unblocking Saturday')
+assert.deepStrictEqual(blockedDayHint.modification.suggestedValue, [], 'Should suggest removing SA from blocked days')
+
+assert.ok(
+  availabilityResult.alternatives.some(alt => alt.relaxedConstraint === 'earliestTimeStr'),
+  'Should provide an alternative with a widened time window'
+)
+console.log(`✅ Suggested availability relaxations: ${earliestHint.description}; ${blockedDayHint.description}`)
+
+// Test 12: Unticked per-day time slot hints
+console.log('📋 Test 12: Unticked Time Slot Analysis')
+const untickedResult = solver.solve({
+  selectedCourses: {
+    'Course A': [createTimeSlot('MO', 19), createTimeSlot('MO', 20)],
+    'Course B': [createTimeSlot('MO', 19), createTimeSlot('DI', 18)]
+  },
+  perDayTimeSlots: {
+    MO: [1140], // Only 19:00 ticked on Monday
+    DI: []      // Nothing ticked on Tuesday
+  }
+})
+
+assert.strictEqual(untickedResult.success, false, 'Should fail when both courses need the only ticked slot')
+
+const enableSlotHints = untickedResult.hints.filter(h => h.type === 'enable_time_slot')
+assert.strictEqual(enableSlotHints.length, 2, 'Should suggest both unticked slots that unlock a solution')
+assert.ok(
+  enableSlotHints.some(h => h.modification.day === 'MO' && h.modification.slot === 1200),
+  'Should suggest enabling Monday 20:00'
+)
+assert.ok(
+  enableSlotHints.some(h => h.modification.day === 'DI' && h.modification.time === '18:00'),
+  'Should suggest enabling Tuesday 18:00'
+)
+console.log(`✅ Suggested unticked slots: ${enableSlotHints.map(h => h.description).join('; ')}`)
+
+// Test 13: Same course twice per day relaxation hint
+console.log('📋 Test 13: Duplicate Course Per Day Analysis')
+const duplicateResult = solver.solve({
+  selectedCourses: {
+    'Intensive Course': [createTimeSlot('MO', 18), createTimeSlot('MO', 19)]
+  },
+  courseMultiplicity: { 'Intensive Course': 2 },
+  noDuplicateCoursesPerDay: true
+})
+
+assert.strictEqual(duplicateResult.success, false, 'Should fail when both sessions are on the same day')
+const duplicateHint = duplicateResult.hints.find(h => h.modification.constraint === 'noDuplicateCoursesPerDay')
+assert.ok(duplicateHint, 'Should suggest allowing the same course twice per day')
+assert.strictEqual(duplicateHint.modification.suggestedValue, false, 'Should suggest disabling the toggle')
+console.log(`✅ Suggested: ${duplicateHint.description}`)
+
+// Test 14: Minimal conflict core of two courses and the per-day limit
+console.log('📋 Test 14: Minimal Conflict Explanation')
+const coreResult = solver.solve({
+  selectedCourses: {
+    'Course A': [createTimeSlot('MO', 18)],
+    'Course B': [createTimeSlot('MO', 19)],
+    'Course C': [createTimeSlot('DI', 18)],
+    'Course D': [createTimeSlot('DI', 19), createTimeSlot('DI', 20)]
+  },
+  existingCourses: {
+    'Course D': [createTimeSlot('DI', 19), createTimeSlot('DI', 20), createTimeSlot('MI', 19)]
+  },
+  maxCoursesPerDay: 1,
+  noDuplicateCoursesPerDay: true
+})
+
+assert.strictEqual(coreResult.success, false, 'Two full days should not fit one course per day')
+const conflictHint = coreResult.hints[0]
+assert.strictEqual(conflictHint.type, 'conflict', 'The conflict explanation should come first')
+const coreItems = conflictHint.modification.items
+// Courses are dropped in order, so the core ends up on Tuesday
+assert.deepStrictEqual(
+  coreItems.map(item => `${item.type}:${item.course ?? item.constraint}`),
+  ['course:Course C', 'course:Course D', 'slots:Course D', 'constraint:maxCoursesPerDay'],
+  'Core should name only the two Tuesday courses and the per-day limit'
+)
+assert.strictEqual(
+  conflictHint.description,
+  '"Course C", "Course D" at the selected times only and at most 1 course(s) per day cannot hold together'
+)
+assert.ok(
+  !coreResult.hints.some(h => h.modification.constraint === 'noDuplicateCoursesPerDay'),
+  'Constraints outside the core should not be suggested'
+)
+// No single course removal fixes both days, but allowing two courses per day does
+assert.strictEqual(coreResult.hints.filter(h => h.type === 'remove_course').length, 0, 'Removing one course is not enough')
+assert.ok(
+  coreResult.hints.some(h => h.modification.constraint === 'maxCoursesPerDay'),
+  'Should suggest allowing more courses per day'
+)
+
+// Restricting a course to its selected slots is part of the core when other slots would help
+const slotCore = solver.solve({
+  selectedCourses: {
+    'Course A': [createTimeSlot('MO', 18)],
+    'Course B': [createTimeSlot('MO', 18)]
+  },
+  existingCourses: {
+    'Course A': [createTimeSlot('MO', 18)],
+    'Course B': [createTimeSlot('MO', 18), createTimeSlot('DI', 18)]
+  }
+}).hints.find(h => h.type === 'conflict')
+assert.strictEqual(
+  slotCore.description,
+  '"Course A", "Course B" at the selected times only and no overlapping courses cannot hold together'
+)
+console.log(`✅ Explained: ${conflictHint.description}`)
+
+// Test 15: Combined relaxations when no single change helps
+console.log('📋 Test 15: Combined Relaxations')
+const combinedResult = solver.solve({
+  selectedCourses: {
+    'Course A': [createTimeSlot('MO', 18), createTimeSlot('MO', 19)],
+    'Course B': [createTimeSlot('MO', 20)],
+    'Course C': [createTimeSlot('MO', 21)]
+  },
+  courseMultiplicity: { 'Course A': 2 },
+  maxCoursesPerDay: 1
+})
+
+assert.strictEqual(combinedResult.success, false, 'Four Monday sessions should not fit one course per day')
+assert.strictEqual(combinedResult.alternatives.length, 1, 'Only the combined relaxation should work')
+const combined = combinedResult.alternatives[0]
+assert.strictEqual(combined.relaxedConstraint, 'combined')
+assert.deepStrictEqual(
+  combined.changes.map(change => [change.constraint, change.suggestedValue]),
+  [['maxCoursesPerDay', 3], ['courseMultiplicity', 1]],
+  'Should list exactly the applied changes'
+)
+assert.strictEqual(combined.totalChange, 3, 'Two extra courses per day and one fewer repetition')
+assert.ok(combined.schedules.every(schedule => schedule.schedule['Course A'].length === 1), 'Schedules should apply the changes')
+assert.strictEqual(
+  combined.description,
+  'Allow 3 courses per day (was 1) and take "Course A" 1 times (was 2 times)'
+)
+
+// Single relaxations that work are listed with their change as well
+const single = alternativesResult.alternatives.find(alt => alt.relaxedConstraint === 'maxCoursesPerDay')
+assert.deepStrictEqual(single.changes.map(change => change.suggestedValue), [3])
+assert.strictEqual(single.totalChange, 1)
+console.log(`✅ Combined alternative: ${combined.description}`)
+
+// Test 16: Hints carry measured numbers and are ranked by them
+console.log('📋 Test 16: Measured Hint Benefit')
+const measuredResult = solver.solve({
+  selectedCourses: {
+    'Course A': [createTimeSlot('MO', 18)],
+    'Course B': [createTimeSlot('MO', 18)]
+  },
+  existingCourses: {
+    'Course A': [createTimeSlot('MO', 18), createTimeSlot('DI', 18), createTimeSlot('MI', 18), createTimeSlot('FR', 18)],
+    'Course B': [createTimeSlot('MO', 18)]
+  }
+})
+
+const measuredHints = measuredResult.hints.filter(h => h.type !== 'conflict')
+assert.ok(measuredHints.every(h => h.metrics && typeof h.metrics.feasibleCount === 'number'), 'Actionable hints should carry metrics')
+assert.strictEqual(measuredHints[0].type, 'add_slots', 'Hint unlocking the most schedules should come first')
+assert.deepStrictEqual(measuredHints[0].metrics, { feasibleCount: 3, countCapped: false, bestScore: 2, bestDays: 2 })
+for (let i = 1; i < measuredHints.length; i++) {
+  assert.ok(
+    measuredHints[i - 1].metrics.feasibleCount >= measuredHints[i].metrics.feasibleCount,
+    'Hints should be sorted by unlocked schedules'
+  )
+}
+assert.strictEqual(measuredResult.hints[0].metrics, null, 'The conflict explanation has no metrics')
+console.log(`✅ Ranked hints: ${measuredHints.map(h => `${h.type} (${h.metrics.feasibleCount})`).join(' → ')}`)
+
+// Test 17: Hints and alternatives carry message codes for localisation
+console.log('📋 Test 17: Structured Hint Messages')
+assert.strictEqual(conflictHint.message.code, '{items} cannot hold together')
+assert.deepStrictEqual(conflictHint.message.params.items[0], { code: '"{course}"', params: { course: 'Course C' } })
+for (const hint of [...coreResult.hints, ...measuredResult.hints, ...availabilityResult.hints]) {
+  const text = formatMessage(hint.message.code, hint.message.params)
+  assert.strictEqual(hint.description, text.charAt(0).toUpperCase() + text.slice(1),
+    'The description is the English rendering of the message')
+}
+
+const combinedMessage = combined.message
+assert.strictEqual(combinedMessage.code, '{changes}')
+assert.deepStrictEqual(combinedMessage.params.changes, combined.changes.map(change => change.message))
+assert.deepStrictEqual(combined.changes[0].message, {
+  code: 'Allow {count} courses per day (was {current})',
+  params: { count: 3, current: 1 }
+})
+
+// Localisation hooks translate templates, day codes and list joins
+const german = {
+  translate: code => ({
+    '{items} cannot hold together': '{items} passen nicht zusammen',
+    'courses only on {days}': 'Kurse nur am {days}',
+    '"{course}"': '"{course}"'
+  })[code] || code,
+  day: day => `<${day}>`,
+  and: 'und'
+}
+assert.strictEqual(
+  formatMessage('{items} cannot hold together', {
+    items: [
+      { code: '"{course}"', params: { course: 'Course A' } },
+      { code: 'courses only on {days}', params: { days: ['MO', 'DI', 'MI'] } }
+    ]
+  }, german),
+  '"Course A" und Kurse nur am <MO>, <DI> und <MI> passen nicht zusammen'
+)
+console.log(`✅ Message code: ${combinedMessage.params.changes.map(change => change.code).join(' + ')}`)
+
+// Test 18: Diverse search mode
+console.log('📋 Test 18: Diverse Search Mode')
+const diverseSlots = ['MO', 'DI', 'MI'].flatMap(day => [18, 19].map(hour => createTimeSlot(day, hour)))
+const diverseResult = new HintingSolver({ searchMode: 'diverse' }).solve({
+  selectedCourses: { 'Course A': diverseSlots, 'Course B': diverseSlots }
+}, 3)
+assert.strictEqual(diverseResult.success, true)
+assert.strictEqual(diverseResult.schedules.length, 3)
+assert.strictEqual(typeof diverseResult.optimal, 'boolean', 'Diverse mode reports whether its quality bar is proven')
+const diverseKeys = diverseResult.schedules.map(solution =>
+  Object.entries(solution.schedule).map(([course, slots]) => `${course} ${slots[0].day} ${slots[0].slot}`))
+for (let i = 0; i < diverseKeys.length; i++) {
+  for (let j = i + 1; j < diverseKeys.length; j++) {
+    assert.ok(diverseKeys[i].every(key => !diverseKeys[j].includes(key)), 'Picks should not share any assignment')
+  }
+}
+console.log(`✅ Diverse schedules: ${diverseKeys.map(keys => keys.join(' / ')).join(' | ')}`)
+
+// Test 19: Pareto search mode
+console.log('📋 Test 19: Pareto Search Mode')
+const paretoResult = new HintingSolver({ searchMode: 'pareto', paretoMetrics: ['days', 'busiestDay'] }).solve({
+  selectedCourses: {
+    'Course A': [createTimeSlot('MO', 18), createTimeSlot('DI', 18)],
+    'Course B': [createTimeSlot('MO', 19, 10), createTimeSlot('MI', 19)]
+  }
+})
+assert.strictEqual(paretoResult.success, true)
+assert.strictEqual(paretoResult.optimal, true)
+assert.deepStrictEqual(paretoResult.schedules.map(solution => solution.metrics), [
+  { days: 1, busiestDay: 2 },
+  { days: 2, busiestDay: 1 }
+], 'One day with two courses, or two days with one each')
+console.log(`✅ Pareto front: ${paretoResult.schedules.length} trade-offs`)
+
+// Test 20: Pinned courses in conflicts
+console.log('📋 Test 20: Pinned Courses')
+const pinnedResult = new HintingSolver().solve({
+  selectedCourses: {
+    'Course A': [createTimeSlot('MO', 18), createTimeSlot('DI', 18)],
+    'Course B': [createTimeSlot('MO', 18)]
+  },
+  lockedAssignments: { 'Course A': [createTimeSlot('MO', 18)] }
+})
+assert.strictEqual(pinnedResult.success, false, 'Course A is pinned to the only time of Course B')
+const pinnedConflict = pinnedResult.hints.find(h => h.type === 'conflict')
+assert.ok(pinnedConflict.modification.items.some(item => item.type === 'locked' && item.course === 'Course A'),
+  'The pin should be part of the conflict')
+assert.ok(pinnedConflict.description.includes('"Course A" kept at its pinned time'))
+console.log(`✅ Pinned conflict: ${pinnedConflict.description}`)
+
+// Test 21: Optional courses
+console.log('📋 Test 21: Optional Courses')
+const optionalInput = {
+  selectedCourses: {
+    'Course A': [createTimeSlot('MO', 18)],
+    'Course B': [createTimeSlot('MO', 18)],
+    'Course C': [createTimeSlot('MO', 18)]
+  },
+  optionalCourses: { 'Course C': 1 }
+}
+const optionalResult = new HintingSolver({ searchMode: 'best' }).solve(optionalInput)
+assert.strictEqual(optionalResult.success, false, 'The must-have courses A and B overlap')
+const optionalConflict = optionalResult.hints.find(h => h.type === 'conflict')
+assert.ok(!optionalConflict.modification.items.some(item => item.course === 'Course C'),
+  'Optional courses are never part of a conflict')
+const withoutB = new HintingSolver({ searchMode: 'best' }).solve({ ...optionalInput, optionalCourses: { 'Course B': 1, 'Course C': 1 } })
+assert.strictEqual(withoutB.success, true)
+assert.deepStrictEqual(withoutB.schedules[0].droppedCourses, ['Course B', 'Course C'])
+console.log(`✅ Dropped optional courses: ${withoutB.schedules[0].droppedCourses.join(', ')}`)
+
+// Test 22: Course groups
+console.log('📋 Test 22: Course Groups')
+const groupInput = {
+  selectedCourses: {
+    'Salsa L2': [createTimeSlot('MO', 18)],
+    'Bachata L2': [createTimeSlot('MO', 18)],
+    'Kizomba L1': [createTimeSlot('MO', 18)],
+    'Course A': [createTimeSlot('DI', 18)]
+  },
+  courseGroups: [{ courses: ['Salsa L2', 'Bachata L2', 'Kizomba L1'], count: 2 }]
+}
+const groupResult = new HintingSolver().solve(groupInput)
+assert.strictEqual(groupResult.success, false, 'All group members share Monday 18:00')
+const groupConflict = groupResult.hints.find(h => h.type === 'conflict')
+assert.ok(groupConflict.modification.items.some(item => item.type === 'group' && item.group === 0),
+  'The group count should be part of the conflict')
+assert.ok(!groupConflict.modification.items.some(item => item.type === 'course'),
+  'Group members are covered by their group, and Course A is not involved')
+assert.strictEqual(groupConflict.description,
+  'Any 2 of Salsa L2, Bachata L2 and Kizomba L1 and no overlapping courses cannot hold together')
+const oneOfGroup = new HintingSolver().solve({ ...groupInput, courseGroups: [{ ...groupInput.courseGroups[0], count: 1 }] })
+assert.strictEqual(oneOfGroup.success, true)
+assert.ok(oneOfGroup.schedules.every(schedule => Object.keys(schedule.schedule).length === 2))
+console.log(`✅ Chose one of the group: ${oneOfGroup.schedules.length} schedules`)
+
+// Test 23: Spacing between repetitions
+console.log('📋 Test 23: Spacing Between Repetitions')
+const spacingInput = {
+  selectedCourses: {
+    'Course A': [createTimeSlot('MO', 18), createTimeSlot('DI', 18), createTimeSlot('MI', 18)]
+  },
+  courseMultiplicity: { 'Course A': 2 },
+  minDaysBetweenRepetitions: 3
+}
+const spacingResult = new HintingSolver().solve(spacingInput)
+assert.strictEqual(spacingResult.success, false, 'Monday to Wednesday are at most 2 days apart')
+const spacingConflict = spacingResult.hints.find(h => h.type === 'conflict')
+assert.ok(spacingConflict.modification.items.some(item => item.constraint === 'minDaysBetweenRepetitions'),
+  'The spacing requirement should be part of the conflict')
+const spacingHint = spacingResult.hints.find(h => h.modification?.constraint === 'minDaysBetweenRepetitions')
+assert.deepStrictEqual(spacingHint.message, {
+  code: 'Allow repetitions {count} day(s) apart (currently {current})',
+  params: { count: 2, current: 3 }
+}, 'Keep as much spacing as possible')
+assert.ok(spacingResult.alternatives.some(alternative =>
+  alternative.changes.some(change => change.constraint === 'minDaysBetweenRepetitions' && change.suggestedValue === 2)))
+console.log(`✅ Spacing hint: ${spacingHint.description}`)
+
+// Test 24: Rest-day rules
+console.log('📋 Test 24: Rest-Day Rules')
+const restDayInput = {
+  selectedCourses: {
+    'Course A': [createTimeSlot('MO', 18)],
+    'Course B': [createTimeSlot('DI', 18)],
+    'Course C': [createTimeSlot('MI', 18), createTimeSlot('DO', 18)]
+  },
+  maxDaysPerWeek: 2,
+  maxConsecutiveDays: 1
+}
+const restDayResult = new HintingSolver().solve(restDayInput)
+assert.strictEqual(restDayResult.success, false, 'Three courses need three days, two of them in a row')
+const restDayCombined = restDayResult.alternatives.find(alternative => alternative.relaxedConstraint === 'combined')
+assert.ok(restDayCombined, 'Both limits need raising together')
+assert.deepStrictEqual(restDayCombined.changes.map(change => change.constraint).sort(), ['maxConsecutiveDays', 'maxDaysPerWeek'])
+const inARowResult = new HintingSolver().solve({
+  selectedCourses: { 'Course A': [createTimeSlot('MO', 18)], 'Course B': [createTimeSlot('DI', 18)] },
+  maxConsecutiveDays: 1
+})
+const inARowHint = inARowResult.hints.find(h => h.type === 'relax_constraint')
+assert.deepStrictEqual(inARowHint.modification, { constraint: 'maxConsecutiveDays', currentValue: 1, suggestedValue: 2 })
+console.log(`✅ Rest-day alternative: ${restDayCombined.description}`)
+
+// Test 25: Weekly load caps
+console.log('📋 Test 25: Weekly Load Caps')
+const weeklyLoadInput = {
+  selectedCourses: {
+    'Course A': [createTimeSlot('MO', 18), createTimeSlot('MI', 18)],
+    'Course B': [{ day: 'DO', slot: 1080, end: 1170 }]
+  },
+  courseMultiplicity: { 'Course A': 2 },
+  maxCoursesPerWeek: 2
+}
+const weeklyCoursesHint = new HintingSolver().solve(weeklyLoadInput).hints.find(h => h.type === 'relax_constraint')
+assert.deepStrictEqual(weeklyCoursesHint.modification, { constraint: 'maxCoursesPerWeek', currentValue: 2, suggestedValue: 3 },
+  'Repeated courses count once per session')
+const weeklyHoursResult = new HintingSolver().solve({ ...weeklyLoadInput, maxCoursesPerWeek: undefined, maxHoursPerWeek: 3 })
+assert.strictEqual(weeklyHoursResult.success, false, '2 x 70 plus 90 minutes are more than 3 hours')
+const weeklyHoursHint = weeklyHoursResult.hints.find(h => h.type === 'relax_constraint')
+assert.deepStrictEqual(weeklyHoursHint.modification, { constraint: 'maxHoursPerWeek', currentValue: 3, suggestedValue: 4 })
+console.log(`✅ Weekly load hints: ${weeklyCoursesHint.description}, ${weeklyHoursHint.description}`)
+
+// Test 26: Course links
+console.log('📋 Test 26: Course Links')
+const linkResult = new HintingSolver().solve({
+  selectedCourses: {
+    'Technique': [createTimeSlot('MO', 18)],
+    'Practice': [createTimeSlot('MI', 19, 10), createTimeSlot('DO', 19, 10)],
+    'Social': [createTimeSlot('MO', 20)]
+  },
+  courseRelations: [{ first: 'Technique', second: 'Practice', type: 'sameDay' }]
+})
+assert.strictEqual(linkResult.success, false, 'Practice never runs on Monday')
+const linkConflict = linkResult.hints.find(h => h.type === 'conflict')
+assert.deepStrictEqual(linkConflict.modification.items.map(item => item.type).sort(), ['course', 'course', 'relation'],
+  'The link and both linked courses conflict, the unrelated course does not')
+assert.ok(linkConflict.description.includes('"Technique" on the same day as "Practice"'))
+console.log(`✅ Course link conflict: ${linkConflict.description}`)
+
+// Test 27: Breaks after consecutive courses
+console.log('📋 Test 27: Breaks After Consecutive Courses')
+const breakInput = {
+  selectedCourses: {
+    'Course A': [createTimeSlot('MO', 18)],
+    'Course B': [createTimeSlot('MO', 19, 10)],
+    'Course C': [createTimeSlot('MO', 20, 20)]
+  },
+  maxConsecutiveCourses: 2,
+  minBreakMinutes: 15
+}
+const breakResult = new HintingSolver().solve(breakInput)
+assert.strictEqual(breakResult.success, false, 'Three courses back to back break the rule')
+const breakHint = breakResult.hints.find(h => h.type === 'relax_constraint')
+assert.deepStrictEqual(breakHint.modification, { constraint: 'maxConsecutiveCourses', currentValue: 2, suggestedValue: 3 })
+const preferredBreakResult = new HintingSolver().solve({ ...breakInput, preferenceWeights: { restBreaks: 1 } })
+assert.strictEqual(preferredBreakResult.success, true, 'As a preference the rule never makes the problem unsolvable')
+assert.strictEqual(preferredBreakResult.schedules[0].penalties.restBreaks, 1)
+console.log(`✅ Break rule hint: ${breakHint.description}`)
+
 console.log('\n🎯 HintingSolver Test Summary:')
 console.log('✅ Successful scheduling detection')
 console.log('✅ Slot conflict analysis and hints')
@@ -323,6 +752,23 @@ console.log('✅ Complex multi-constraint scenarios')
 console.log('✅ Hint priority ordering')
 console.log('✅ Edge case handling')
 console.log('✅ Alternative solution validation')
+console.log('✅ Time window and day relaxation hints')
+console.log('✅ Unticked time slot hints')
+console.log('✅ Duplicate course per day hints')
+console.log('✅ Minimal conflict explanations')
+console.log('✅ Combined relaxations')
+console.log('✅ Hints ranked by measured benefit')
+console.log('✅ Structured, localisable hint messages')
+console.log('✅ Diverse search mode')
+console.log('✅ Pareto search mode')
+console.log('✅ Pinned courses in conflicts')
+console.log('✅ Optional courses')
+console.log('✅ Course groups')
+console.log('✅ Spacing between repetitions')
+console.log('✅ Rest-day rules')
+console.log('✅ Weekly load caps')
+console.log('✅ Course links')
+console.log('✅ Breaks after consecutive courses')
 
 console.log('\n🚀 HintingSolver is fully functional and ready for production!')
 console.log('💡 Provides intelligent scheduling assistance with actionable suggestions!')
@@ -0,0 +1,185 @@
+import assert from 'assert'
+import { HintingSolver } from '../src/hintingSolver.js'
+import { DeclarativeConstraintSolver, compareSolutions } from '../src/declarativeConstraintSolver.js'
+import { createSolverMessageHandler } from '../src/workers/solverWorker.js'
+
+function createTimeSlot(day, hour, minute = 0) {
+  return { day, slot: hour * 60 + minute }
+}
+
+console.log('🧪 Solver Worker Tests')
+
+const days = ['MO', 'DI', 'MI', 'DO', 'FR']
+const manyOptions = {}
+for (let c = 1; c <= 4; c++) {
+  manyOptions[`Course ${c}`] = days.flatMap(day => [18, 19, 20].map(hour => createTimeSlot(day, hour)))
+}
+
+// Case 1: HintingSolver reports progress of the main search
+{
+  const reports = []
+  const solver = new HintingSolver({ progressInterval: 100, onProgress: progress => reports.push(progress) })
+  const result = solver.solve({ selectedCourses: manyOptions }, 1000)
+  assert.ok(result.success, 'Should find schedules')
+  assert.ok(reports.length > 0, 'Should report progress')
+  assert.ok(reports.every(report => report.phase === 'solving'), 'Progress should be in the solving phase')
+  for (let i = 1; i < reports.length; i++) {
+    assert.ok(reports[i].nodesExplored > reports[i - 1].nodesExplored, 'Node count should keep growing')
+  }
+  assert.ok(reports[reports.length - 1].solutionsFound > 0, 'Progress should count found schedules')
+}
+
+// Case 2: Progress continues across the re-solves of the hinting phase
+{
+  const reports = []
+  const solver = new HintingSolver({ progressInterval: 1, onProgress: progress => reports.push(progress) })
+  const result = solver.solve({
+    selectedCourses: {
+      'Course A': [createTimeSlot('MO', 18)],
+      'Course B': [createTimeSlot('MO', 18)]
+    },
+    existingCourses: {
+      'Course A': [createTimeSlot('MO', 18), createTimeSlot('DI', 18)],
+      'Course B': [createTimeSlot('MO', 18)]
+    }
+  })
+  assert.ok(!result.success, 'Conflicting courses should not be solvable')
+  const hintingReports = reports.filter(report => report.phase === 'hinting')
+  assert.ok(hintingReports.length > 1, 'Should report progress while looking for hints')
+  for (let i = 1; i < hintingReports.length; i++) {
+    assert.ok(hintingReports[i].nodesExplored >= hintingReports[i - 1].nodesExplored, 'Node count should add up across searches')
+  }
+}
+
+// Case 3: start message produces progress messages and a result
+{
+  const messages = []
+  const handleMessage = createSolverMessageHandler(message => messages.push(message))
+  handleMessage({
+    type: 'start',
+    id: 7,
+    input: { selectedCourses: manyOptions },
+    options: { maxSolutions: 5, searchMode: 'best', progressInterval: 100 }
+  })
+  const result = messages[messages.length - 1]
+  assert.strictEqual(result.type, 'result', 'Last message should be the result')
+  assert.strictEqual(result.id, 7, 'Result should carry the run id')
+  assert.ok(result.result.success, 'Result should contain schedules')
+  assert.strictEqual(result.result.schedules.length, 5, 'Should respect maxSolutions')
+  assert.ok(messages.some(message => message.type === 'progress' && message.id === 7), 'Should post progress')
+  // Results have to survive structured cloning to reach the main thread
+  assert.doesNotThrow(() => structuredClone(result), 'Result should be cloneable')
+}
+
+// Case 4: unknown messages and solver errors are reported
+{
+  const messages = []
+  const handleMessage = createSolverMessageHandler(message => messages.push(message))
+  handleMessage({ type: 'restart', id: 4 })
+  assert.strictEqual(messages.pop().type, 'error', 'Unknown message types should be reported')
+  handleMessage({ type: 'start', id: 5, input: {} })
+  const error = messages.pop()
+  assert.strictEqual(error.type, 'error', 'Invalid input should be reported as an error')
+  assert.strictEqual(error.id, 5)
+}
+
+// Case 5: more pages through the remaining schedules without repeating any
+{
+  const messages = []
+  const handleMessage = createSolverMessageHandler(message => messages.push(message))
+  const selectedCourses = {
+    'Course 1': manyOptions['Course 1'],
+    'Course 2': manyOptions['Course 2']
+  }
+  handleMessage({ type: 'start', id: 8, input: { selectedCourses }, options: { maxSolutions: 20, searchMode: 'best' } })
+  const solutions = messages.pop().result.schedules
+
+  handleMessage({ type: 'more', id: 8, count: 20 })
+  const page = messages.pop()
+  assert.strictEqual(page.type, 'page', 'more should answer with a page')
+  assert.strictEqual(page.schedules.length, 20, 'Page should hold the requested number of schedules')
+  assert.strictEqual(page.done, false, 'More schedules should remain')
+  solutions.push(...page.schedules)
+
+  let done = false
+  while (!done) {
+    handleMessage({ type: 'more', id: 8, count: 100 })
+    const next = messages.pop()
+    solutions.push(...next.schedules)
+    done = next.done
+  }
+  const seen = solutions.map(solution => JSON.stringify(solution.schedule))
+  // 15 slots each, minus the 15 pairs sharing a slot
+  assert.strictEqual(seen.length, 15 * 15 - 15, 'Paging should reach every schedule')
+  assert.strictEqual(new Set(seen).size, seen.length, 'Pages should not repeat schedules')
+  for (let i = 1; i < solutions.length; i++) {
+    assert.ok(compareSolutions(solutions[i - 1], solutions[i]) >= 0, 'Pages should continue the ranking of the run')
+  }
+
+  // A new run replaces the paging state
+  handleMessage({ type: 'start', id: 9, input: { selectedCourses }, options: {} })
+  messages.length = 0
+  handleMessage({ type: 'more', id: 8, count: 20 })
+  assert.strictEqual(messages.pop().type, 'error', 'Pages of a replaced run should be refused')
+}
+
+// Case 6: in 'first' mode, more resumes the search of the run instead of starting over
+{
+  const messages = []
+  const handleMessage = createSolverMessageHandler(message => messages.push(message))
+  const selectedCourses = {
+    'Course 1': manyOptions['Course 1'],
+    'Course 2': manyOptions['Course 2']
+  }
+  handleMessage({ type: 'start', id: 10, input: { selectedCourses }, options: { maxSolutions: 20, progressInterval: 1 } })
+  const seen = messages.pop().result.schedules.map(solution => JSON.stringify(solution.schedule))
+
+  messages.length = 0
+  let done = false
+  while (!done) {
+    handleMessage({ type: 'more', id: 10, count: 50 })
+    const next = messages.pop()
+    assert.strictEqual(next.type, 'page', 'more should answer with a page')
+    seen.push(...next.schedules.map(solution => JSON.stringify(solution.schedule)))
+    done = next.done
+  }
+  assert.strictEqual(seen.length, 15 * 15 - 15, 'Paging should reach every schedule')
+  assert.strictEqual(new Set(seen).size, seen.length, 'Pages should not repeat schedules')
+
+  const fullSearch = new DeclarativeConstraintSolver()
+  fullSearch.findAllSolutions({ selectedCourses }, Infinity)
+  const lastProgress = messages.filter(message => message.type === 'progress').pop()
+  assert.ok(lastProgress, 'The resumed search should keep reporting progress')
+  assert.ok(lastProgress.nodesExplored <= fullSearch.getSearchStats().nodesExplored,
+    'Run and pages together should search the space only once')
+}
+
+// Case 7: 'diverse' pages continue the picks, the Pareto front has no further pages
+{
+  const messages = []
+  const handleMessage = createSolverMessageHandler(message => messages.push(message))
+  const selectedCourses = {
+    'Course 1': manyOptions['Course 1'],
+    'Course 2': manyOptions['Course 2']
+  }
+  handleMessage({ type: 'start', id: 11, input: { selectedCourses }, options: { maxSolutions: 10, searchMode: 'diverse' } })
+  const firstPage = messages.pop().result.schedules
+  handleMessage({ type: 'more', id: 11, count: 10 })
+  const page = messages.pop()
+  assert.strictEqual(page.schedules.length, 10, 'Page should hold the requested number of schedules')
+  assert.strictEqual(page.done, false, 'More schedules should remain')
+  const expected = new DeclarativeConstraintSolver().findDiverseSolutions({ selectedCourses }, 20).schedules
+    .filter(solution => !firstPage.some(shown => JSON.stringify(shown.schedule) === JSON.stringify(solution.schedule)))
+    .slice(0, 10)
+  assert.deepStrictEqual(page.schedules.map(solution => solution.schedule), expected.map(solution => solution.schedule),
+    'Page should hold the next picks of a larger diverse search')
+
+  handleMessage({ type: 'start', id: 12, input: { selectedCourses }, options: { searchMode: 'pareto' } })
+  assert.ok(messages.pop().result.success, 'Should find trade-offs')
+  handleMessage({ type: 'more', id: 12, count: 20 })
+  const paretoPage = messages.pop()
+  assert.deepStrictEqual(paretoPage.schedules, [], 'The Pareto front should have no further pages')
+  assert.strictEqual(paretoPage.done, true)
+}
+
+console.log('✅ Solver worker tests passed')
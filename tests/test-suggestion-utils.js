@@ -0,0 +1,101 @@
+import assert from 'assert'
+import { HintingSolver } from '../src/hintingSolver.js'
+import { getHintChanges, getConstraintPatch, snapshotSuggestionState } from '../src/utils/suggestionUtils.js'
+
+function createTimeSlot(day, hour, minute = 0) {
+  return { day, slot: hour * 60 + minute }
+}
+
+console.log('🧪 Suggestion Utils Tests')
+
+const constraints = {
+  selectedCourseNames: ['Course A', 'Course B'],
+  courseMultiplicity: { 'Course A': 2 },
+  maxCoursesPerDay: 1,
+  maxTimeBetweenCourses: 4,
+  noDuplicateCoursesPerDay: true,
+  earliestTimeStr: '18:30',
+  latestTimeStr: '',
+  allowedDays: ['MO', 'DI', 'MI', 'DO', 'FR', 'SA', 'SO'],
+  blockedDays: ['SA'],
+  perDayTimeSlots: { MON: [1140] },
+  preferenceWeights: { fewerDays: 1 }
+}
+
+// Case 1: Hints become patches of the constraint state
+{
+  const removal = getConstraintPatch(constraints, getHintChanges({
+    type: 'remove_course',
+    modification: { course: 'Course A', remainingCourses: ['Course B'] }
+  }))
+  assert.deepStrictEqual(removal, { selectedCourseNames: ['Course B'], courseMultiplicity: {} })
+
+  const multiplicity = getConstraintPatch(constraints, getHintChanges({
+    type: 'reduce_multiplicity',
+    modification: { course: 'Course A', currentCount: 2, suggestedCount: 1 }
+  }))
+  assert.deepStrictEqual(multiplicity, { courseMultiplicity: { 'Course A': 1 } })
+
+  const slot = getConstraintPatch(constraints, getHintChanges({
+    type: 'enable_time_slot',
+    modification: { day: 'MO', slot: 1080, time: '18:00' }
+  }), day => ({ MO: 'MON' })[day])
+  assert.deepStrictEqual(slot, { perDayTimeSlots: { MON: [1080, 1140] } }, 'Slot should be added under the display day code')
+
+  const gap = getConstraintPatch(constraints, getHintChanges({
+    type: 'relax_constraint',
+    modification: { constraint: 'maxEmptySlotsBetweenCourses', currentValue: 4, suggestedValue: 6 }
+  }))
+  assert.deepStrictEqual(gap, { maxTimeBetweenCourses: 6 }, 'Gap limit maps to maxTimeBetweenCourses')
+
+  const spacing = getConstraintPatch(constraints, getHintChanges({
+    type: 'relax_constraint',
+    modification: { constraint: 'minDaysBetweenRepetitions', currentValue: 3, suggestedValue: 2 }
+  }))
+  assert.deepStrictEqual(spacing, { minDaysBetweenRepetitions: 2 })
+
+  assert.strictEqual(getConstraintPatch(constraints, getHintChanges({ type: 'conflict', modification: { items: [] } })), null,
+    'Explanations cannot be applied')
+  assert.strictEqual(constraints.selectedCourseNames.length, 2, 'Patches should not modify the constraint state')
+}
+
+// Case 2: Combined alternatives apply all changes, but only if every change can be applied
+{
+  const patch = getConstraintPatch(constraints, [
+    { constraint: 'maxCoursesPerDay', suggestedValue: 3 },
+    { constraint: 'courseMultiplicity', course: 'Course A', suggestedValue: 1 },
+    { constraint: 'blockedDays', suggestedValue: [] }
+  ])
+  assert.deepStrictEqual(patch, { maxCoursesPerDay: 3, courseMultiplicity: { 'Course A': 1 }, blockedDays: [] })
+
+  assert.strictEqual(getConstraintPatch(constraints, [
+    { constraint: 'maxCoursesPerDay', suggestedValue: 3 },
+    { constraint: 'additionalSlots', course: 'Course A', suggestedValue: [createTimeSlot('DI', 18)] }
+  ]), null, 'Slot selections are not part of the constraint state')
+}
+
+// Case 3: Applying a solver hint makes the problem solvable
+{
+  const solver = new HintingSolver()
+  const result = solver.solve({
+    selectedCourses: {
+      'Course A': [createTimeSlot('MO', 18), createTimeSlot('MO', 19)],
+      'Course B': [createTimeSlot('MO', 20)]
+    },
+    maxCoursesPerDay: 1
+  })
+  const hint = result.hints.find(h => h.type === 'relax_constraint')
+  const state = { ...constraints, maxCoursesPerDay: 1 }
+  Object.assign(state, getConstraintPatch(state, getHintChanges(hint)))
+  assert.strictEqual(state.maxCoursesPerDay, 2, 'Should raise the per-day limit')
+}
+
+// Case 4: Snapshots are deep copies of the suggestion state only
+{
+  const snapshot = snapshotSuggestionState(constraints)
+  assert.ok(!('preferenceWeights' in snapshot), 'Unrelated settings should not be recorded')
+  snapshot.perDayTimeSlots.MON.push(1200)
+  assert.deepStrictEqual(constraints.perDayTimeSlots.MON, [1140], 'Snapshot should not share arrays')
+}
+
+console.log('✅ Suggestion utils tests passed')